@@ -0,0 +1,216 @@
+// src/lib/admin-reservations.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  query,
+  where,
+  arrayUnion,
+} from "firebase/firestore";
+import { MAX_RANGE_DAYS, countDays, isDateString } from "./parking.js";
+import { checkSpaceAvailability } from "./availability.js";
+import { closeReservation, updateReservationBooking } from "./booking.js";
+import { createNotification } from "./notifications.js";
+import { promoteWaitlist } from "./waitlist.js";
+
+/**
+ * Get reservations of every user, with the owner's details
+ * @param {object} filters - Optional filters
+ * @param {string} filters.startDate - Only reservations ending on or after
+ * @param {string} filters.endDate - Only reservations starting on or before
+ * @param {string} filters.spaceId - Space document ID
+ * @param {string} filters.userId - Owner's user ID
+ * @param {string} filters.department - Owner's department
+ * @param {string} filters.status - Reservation status
+ * @returns {Promise<Array<object>>} Reservations ordered by start date
+ */
+export async function getAllReservations(filters = {}) {
+  const { startDate, endDate, spaceId, userId, department, status } = filters;
+
+  const constraints = [];
+  if (spaceId) constraints.push(where("spaceId", "==", spaceId));
+  if (userId) constraints.push(where("userId", "==", userId));
+  if (status) constraints.push(where("status", "==", status));
+
+  const [reservationsSnapshot, usersSnapshot] = await Promise.all([
+    getDocs(query(collection(db, "reservations"), ...constraints)),
+    getDocs(collection(db, "users")),
+  ]);
+
+  const users = Object.fromEntries(
+    usersSnapshot.docs.map((doc) => [doc.id, doc.data()])
+  );
+
+  return reservationsSnapshot.docs
+    .map((doc) => {
+      const reservation = { id: doc.id, ...doc.data() };
+      const user = users[reservation.userId];
+
+      return {
+        ...reservation,
+        user: user
+          ? {
+              firstName: user.firstName,
+              lastName: user.lastName,
+              username: user.username,
+              department: user.department,
+            }
+          : null,
+      };
+    })
+    .filter(
+      (reservation) =>
+        (!startDate || reservation.endDate >= startDate) &&
+        (!endDate || reservation.startDate <= endDate) &&
+        (!department ||
+          (reservation.user && reservation.user.department === department))
+    )
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Change any user's reservation on their behalf. Policy rules are not
+ * applied, but the new period, shift and space must still be free.
+ * @param {string} reservationId - Reservation ID
+ * @param {object} changes - startDate, endDate, shiftType and/or spaceId
+ * @param {object} actor - Admin making the change (see audit.js)
+ * @param {string} reason - Why the change was made
+ * @returns {Promise<{success: boolean, reservation?: object, error?: string, status?: number}>}
+ */
+export async function adminUpdateReservation(
+  reservationId,
+  changes,
+  actor,
+  reason
+) {
+  const reservationDoc = await getDoc(doc(db, "reservations", reservationId));
+  if (!reservationDoc.exists()) {
+    return { success: false, error: "Reservation not found", status: 404 };
+  }
+
+  const reservation = reservationDoc.data();
+  const next = { ...reservation, ...changes };
+
+  if (!isDateString(next.startDate) || !isDateString(next.endDate)) {
+    return {
+      success: false,
+      error: "Dates must be in YYYY-MM-DD format",
+      status: 400,
+    };
+  }
+
+  if (next.endDate < next.startDate) {
+    return {
+      success: false,
+      error: "End date must be after start date",
+      status: 400,
+    };
+  }
+
+  if (countDays(next.startDate, next.endDate) > MAX_RANGE_DAYS) {
+    return {
+      success: false,
+      error: `A reservation cannot be longer than ${MAX_RANGE_DAYS} days`,
+      status: 400,
+    };
+  }
+
+  const isAvailable = await checkSpaceAvailability(
+    next.spaceId,
+    next.startDate,
+    next.endDate,
+    next.shiftType,
+    reservationId
+  );
+  if (!isAvailable) {
+    return {
+      success: false,
+      error: "Parking space is not available for the selected period and shift",
+      status: 409,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const updateData = {
+    ...changes,
+    updatedAt: now,
+    adminActions: arrayUnion({
+      action: "updated",
+      reason,
+      adminId: actor.actorId,
+      at: now,
+    }),
+  };
+
+  const result = await updateReservationBooking(
+    reservationId,
+    updateData,
+    actor
+  );
+  if (!result.success) return result;
+
+  await createNotification(
+    reservation.userId,
+    "reservation_updated",
+    `Your reservation from ${reservation.startDate} to ${reservation.endDate} was changed by an administrator: ${reason}`,
+    { reservationId }
+  );
+
+  const updated = await getDoc(doc(db, "reservations", reservationId));
+  return {
+    success: true,
+    reservation: { id: reservationId, ...updated.data() },
+  };
+}
+
+/**
+ * Cancel any user's reservation on their behalf and hand the freed slot to
+ * the waitlist
+ * @param {string} reservationId - Reservation ID
+ * @param {object} actor - Admin cancelling the reservation (see audit.js)
+ * @param {string} reason - Why the reservation was cancelled
+ * @returns {Promise<{success: boolean, promotedFromWaitlist?: number, error?: string, status?: number}>}
+ */
+export async function adminCancelReservation(reservationId, actor, reason) {
+  const reservationDoc = await getDoc(doc(db, "reservations", reservationId));
+  if (!reservationDoc.exists()) {
+    return { success: false, error: "Reservation not found", status: 404 };
+  }
+
+  const now = new Date().toISOString();
+  const closed = await closeReservation(
+    reservationId,
+    {
+      status: "cancelled",
+      cancelledAt: now,
+      cancelledBy: actor.actorId,
+      cancellationReason: reason,
+      adminActions: arrayUnion({
+        action: "cancelled",
+        reason,
+        adminId: actor.actorId,
+        at: now,
+      }),
+    },
+    actor
+  );
+  if (!closed.success) return closed;
+
+  const { reservation } = closed;
+  await createNotification(
+    reservation.userId,
+    "reservation_cancelled",
+    `Your reservation from ${reservation.startDate} to ${reservation.endDate} was cancelled by an administrator: ${reason}`,
+    { reservationId }
+  );
+
+  const promoted = await promoteWaitlist(
+    reservation.spaceId,
+    reservation.startDate,
+    reservation.endDate
+  );
+
+  return { success: true, promotedFromWaitlist: promoted.length };
+}
@@ -0,0 +1,194 @@
+// src/lib/approvals.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  query,
+  where,
+  runTransaction,
+} from "firebase/firestore";
+import { claimSlots } from "./booking.js";
+import { createNotification } from "./notifications.js";
+import { promoteWaitlist } from "./waitlist.js";
+import { SYSTEM_ACTOR, auditReservation } from "./audit.js";
+
+// Reservations that need a schedule document wait in this status, holding
+// their slots, until an approver has looked at the document
+export const PENDING_APPROVAL = "pending_approval";
+
+/**
+ * Whether a user may approve another user's reservations. Admins approve
+ * everyone's; department leads approve their department's, but not their own.
+ * @param {object|null} approver - The authenticated user, if any
+ * @param {object} owner - The reservation owner (uid, department)
+ * @returns {boolean}
+ */
+export function canApprove(approver, owner) {
+  if (!approver) return false;
+  if (approver.role === "admin") return true;
+
+  return (
+    approver.role === "department_lead" &&
+    !!approver.department &&
+    approver.department === owner.department &&
+    approver.uid !== owner.uid
+  );
+}
+
+/**
+ * Whether a user approves reservations at all
+ * @param {object|null} user - The authenticated user, if any
+ * @returns {boolean}
+ */
+export function isApprover(user) {
+  return !!user && ["admin", "department_lead"].includes(user.role);
+}
+
+/**
+ * Get the reservations awaiting a decision from an approver, oldest first
+ * @param {object} approver - The approver (uid, role, department)
+ * @returns {Promise<Array<object>>}
+ */
+export async function getApprovalQueue(approver) {
+  const [reservationsSnapshot, usersSnapshot] = await Promise.all([
+    getDocs(
+      query(
+        collection(db, "reservations"),
+        where("status", "==", PENDING_APPROVAL)
+      )
+    ),
+    getDocs(collection(db, "users")),
+  ]);
+
+  const users = Object.fromEntries(
+    usersSnapshot.docs.map((doc) => [doc.id, doc.data()])
+  );
+
+  return reservationsSnapshot.docs
+    .map((doc) => {
+      const reservation = { id: doc.id, ...doc.data() };
+      const user = users[reservation.userId] || {};
+
+      return {
+        ...reservation,
+        user: {
+          uid: reservation.userId,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          username: user.username,
+          department: user.department,
+        },
+      };
+    })
+    .filter((reservation) => canApprove(approver, reservation.user))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Approve or reject a reservation awaiting approval. Approved reservations
+ * become active; rejected ones free their slots for the waitlist.
+ * @param {string} reservationId - Reservation ID
+ * @param {object} approver - The approver (uid, role, department)
+ * @param {boolean} approved - The decision
+ * @param {string|null} comment - Comment for the owner
+ * @param {object} actor - Who is deciding (see audit.js)
+ * @returns {Promise<{success: boolean, reservationStatus?: string, promotedFromWaitlist?: number, error?: string, status?: number}>}
+ */
+export async function decideReservation(
+  reservationId,
+  approver,
+  approved,
+  comment,
+  actor = SYSTEM_ACTOR
+) {
+  const reservationRef = doc(db, "reservations", reservationId);
+  const reservationDoc = await getDoc(reservationRef);
+  if (!reservationDoc.exists()) {
+    return { success: false, error: "Reservation not found", status: 404 };
+  }
+
+  const { userId } = reservationDoc.data();
+  const ownerDoc = await getDoc(doc(db, "users", userId));
+  const owner = { uid: userId, ...(ownerDoc.exists() ? ownerDoc.data() : {}) };
+  if (!canApprove(approver, owner)) {
+    return {
+      success: false,
+      error: "You cannot approve this reservation",
+      status: 403,
+    };
+  }
+
+  const approval = {
+    approved,
+    comment: comment || null,
+    decidedBy: approver.uid,
+    decidedAt: new Date().toISOString(),
+  };
+
+  // Re-check the status in the transaction, so the reservation cannot be
+  // approved and cancelled at the same time
+  const result = await runTransaction(db, async (transaction) => {
+    const current = (await transaction.get(reservationRef)).data();
+    if (current.status !== PENDING_APPROVAL) {
+      return {
+        success: false,
+        error: "Reservation is not awaiting approval",
+        status: 409,
+      };
+    }
+
+    if (!approved) {
+      await claimSlots(transaction, [], [{ reservationId, ...current }]);
+    }
+    transaction.update(reservationRef, {
+      status: approved ? "active" : "rejected",
+      approval,
+    });
+
+    return { success: true, reservation: current };
+  });
+  if (!result.success) return result;
+
+  const { reservation } = result;
+  await auditReservation(
+    actor,
+    approved ? "approve" : "reject",
+    reservationId,
+    reservation
+  );
+
+  const period = `from ${reservation.startDate} to ${reservation.endDate}`;
+
+  if (approved) {
+    await createNotification(
+      userId,
+      "reservation_approved",
+      `Your reservation ${period} was approved` +
+        (comment ? `: ${comment}` : ""),
+      { reservationId }
+    );
+
+    return { success: true, reservationStatus: "active" };
+  }
+
+  await createNotification(
+    userId,
+    "reservation_rejected",
+    `Your reservation ${period} was rejected: ${comment}`,
+    { reservationId }
+  );
+
+  const promoted = await promoteWaitlist(
+    reservation.spaceId,
+    reservation.startDate,
+    reservation.endDate
+  );
+
+  return {
+    success: true,
+    reservationStatus: "rejected",
+    promotedFromWaitlist: promoted.length,
+  };
+}
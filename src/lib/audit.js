@@ -0,0 +1,223 @@
+// src/lib/audit.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  getDoc,
+  query,
+  where,
+  orderBy,
+  limit as limitTo,
+} from "firebase/firestore";
+import { addDays } from "./parking.js";
+
+// Entries in "auditLog" are only ever added, never changed or removed.
+// Changes made by scheduled jobs (no-show release, waitlist promotion,
+// lottery draws) are recorded with this actor; changes an admin starts are
+// recorded with the admin as actor.
+export const SYSTEM_ACTOR = { actorId: "system", request: null };
+
+/**
+ * Where a request came from
+ * @param {Request|null} request - The incoming request
+ * @returns {{ip: string|null, userAgent: string|null}|null}
+ */
+function getRequestOrigin(request) {
+  if (!request) return null;
+
+  const forwardedFor = request.headers.get("x-forwarded-for");
+  return {
+    ip: forwardedFor
+      ? forwardedFor.split(",")[0].trim()
+      : request.headers.get("x-real-ip"),
+    userAgent: request.headers.get("user-agent"),
+  };
+}
+
+/**
+ * List the fields that differ between two versions of a document
+ * @param {object|null} before - Document before the change
+ * @param {object|null} after - Document after the change
+ * @returns {object} Changed fields with their old and new values
+ */
+function diffFields(before, after) {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record a change in the audit log. A failure to record is logged but does
+ * not undo or fail the change itself.
+ * @param {object} actor - Who made the change
+ * @param {string} actor.actorId - User ID, or "system"
+ * @param {Request|null} actor.request - The request that made the change
+ * @param {object} entry - What changed
+ * @param {string} entry.action - e.g. "create", "cancel", "document_upload"
+ * @param {string} entry.targetType - "reservation", "series", "user" or
+ *   "vehicle"
+ * @param {string} entry.targetId - ID of the changed document
+ * @param {object|null} entry.before - The document before the change
+ * @param {object|null} entry.after - The document after the change
+ * @returns {Promise<void>}
+ */
+export async function recordAudit(
+  { actorId, request },
+  { action, targetType, targetId, before = null, after = null }
+) {
+  try {
+    // Entries are found by everyone involved: the actor and the owners
+    const userIds = new Set([actorId]);
+    if (targetType === "user") userIds.add(targetId);
+    if (before?.userId) userIds.add(before.userId);
+    if (after?.userId) userIds.add(after.userId);
+
+    await addDoc(collection(db, "auditLog"), {
+      actorId,
+      action,
+      targetType,
+      targetId,
+      reservationId: targetType === "reservation" ? targetId : null,
+      userIds: [...userIds],
+      changes: diffFields(before, after),
+      origin: getRequestOrigin(request),
+      createdAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+}
+
+/**
+ * Record a change to a stored document. The document is read back, so the
+ * entry shows what was actually written.
+ * @param {object} actor - Who made the change
+ * @param {string} action - What was done
+ * @param {string} targetType - "reservation", "user" or "vehicle"
+ * @param {string} collectionName - Collection of the document
+ * @param {string} targetId - Document ID
+ * @param {object|null} before - The document before the change
+ * @returns {Promise<void>}
+ */
+async function auditStoredDocument(
+  actor,
+  action,
+  targetType,
+  collectionName,
+  targetId,
+  before
+) {
+  try {
+    const storedDoc = await getDoc(doc(db, collectionName, targetId));
+    await recordAudit(actor, {
+      action,
+      targetType,
+      targetId,
+      before,
+      after: storedDoc.exists() ? storedDoc.data() : null,
+    });
+  } catch (error) {
+    console.error("Audit log error:", error);
+  }
+}
+
+/**
+ * Record a change to a reservation
+ * @param {object} actor - Who made the change
+ * @param {string} action - What was done
+ * @param {string} reservationId - Reservation ID
+ * @param {object|null} before - The reservation before the change
+ * @returns {Promise<void>}
+ */
+export async function auditReservation(actor, action, reservationId, before) {
+  await auditStoredDocument(
+    actor,
+    action,
+    "reservation",
+    "reservations",
+    reservationId,
+    before
+  );
+}
+
+/**
+ * Record a change to a user's profile or account
+ * @param {object} actor - Who made the change
+ * @param {string} action - What was done
+ * @param {string} userId - User ID
+ * @param {object|null} before - The user document before the change
+ * @returns {Promise<void>}
+ */
+export async function auditUser(actor, action, userId, before) {
+  await auditStoredDocument(actor, action, "user", "users", userId, before);
+}
+
+/**
+ * Record a change to a registered vehicle
+ * @param {object} actor - Who made the change
+ * @param {string} action - What was done
+ * @param {string} vehicleId - Vehicle ID
+ * @param {object|null} before - The vehicle before the change
+ * @returns {Promise<void>}
+ */
+export async function auditVehicle(actor, action, vehicleId, before) {
+  await auditStoredDocument(
+    actor,
+    action,
+    "vehicle",
+    "vehicles",
+    vehicleId,
+    before
+  );
+}
+
+/**
+ * Query the audit log, newest first
+ * @param {object} filters - Optional filters
+ * @param {string} filters.userId - Entries by or about this user
+ * @param {string} filters.reservationId - Entries about this reservation
+ * @param {string} filters.startDate - Entries on or after (YYYY-MM-DD)
+ * @param {string} filters.endDate - Entries on or before (YYYY-MM-DD)
+ * @param {number} filters.limit - Maximum number of entries
+ * @returns {Promise<Array<object>>}
+ */
+export async function getAuditLog(filters = {}) {
+  const { userId, reservationId, startDate, endDate, limit = 100 } = filters;
+
+  // The log only grows, so the period, order and page size are left to
+  // Firestore rather than applied to the whole collection here
+  const constraints = [];
+  if (reservationId) {
+    constraints.push(where("reservationId", "==", reservationId));
+  }
+  if (userId) constraints.push(where("userIds", "array-contains", userId));
+  if (startDate) constraints.push(where("createdAt", ">=", startDate));
+  if (endDate) {
+    constraints.push(where("createdAt", "<", addDays(endDate, 1)));
+  }
+
+  const snapshot = await getDocs(
+    query(
+      collection(db, "auditLog"),
+      ...constraints,
+      orderBy("createdAt", "desc"),
+      limitTo(limit)
+    )
+  );
+
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
@@ -1,6 +1,8 @@
 import "dotenv/config";
 import admin from "firebase-admin";
+import { timingSafeEqual } from "node:crypto";
 import { FIREBASE_SERVICE_ACCOUNT } from "$env/static/private";
+import { env } from "$env/dynamic/private";
 
 // Initialize Firebase Admin SDK if not already initialized
 if (!admin.apps.length) {
@@ -16,7 +18,7 @@ const db = admin.firestore();
 /**
  * Verify Firebase ID token and extract user information
  * @param {string} token - The Firebase ID token
- * @returns {Promise<{success: boolean, user?: object, error?: string}>}
+ * @returns {Promise<{success: boolean, user?: object, error?: string, status?: number}>}
  */
 export async function verifyAuthToken(token) {
   try {
@@ -31,6 +33,15 @@ export async function verifyAuthToken(token) {
       };
     }
 
+    // Deactivated accounts keep valid Firebase tokens until they expire
+    if (userDoc.data().isActive === false) {
+      return {
+        success: false,
+        error: "Account is deactivated",
+        status: 403,
+      };
+    }
+
     return {
       success: true,
       user: {
@@ -69,7 +80,7 @@ export async function authenticateRequest(request) {
     const result = await verifyAuthToken(token);
     return result.success
       ? { success: true, user: result.user }
-      : { ...result, status: 401 };
+      : { status: 401, ...result };
   } catch (error) {
     console.error("Authentication error:", error.message);
     return {
@@ -119,3 +130,25 @@ export async function requireAdmin(request) {
 
   return auth;
 }
+
+/**
+ * Middleware for endpoints a scheduler calls periodically, such as the
+ * no-show release. The scheduler sends the CRON_SECRET environment variable
+ * as its bearer token; admins can run the same endpoints by hand.
+ * @param {Request} request - The incoming request
+ * @returns {Promise<{success: boolean, user?: object|null, error?: string, status?: number}>}
+ */
+export async function requireScheduler(request) {
+  const authHeader = request.headers.get("authorization") || "";
+  const expected = `Bearer ${env.CRON_SECRET}`;
+
+  if (
+    env.CRON_SECRET &&
+    authHeader.length === expected.length &&
+    timingSafeEqual(Buffer.from(authHeader), Buffer.from(expected))
+  ) {
+    return { success: true, user: null };
+  }
+
+  return requireAdmin(request);
+}
@@ -69,6 +69,14 @@ export async function loginUser(email, password) {
     const userDoc = await getDoc(doc(db, "users", user.uid));
     const userData = userDoc.data();
 
+    if (userData?.isActive === false) {
+      await signOut(auth);
+      return {
+        success: false,
+        error: "Account is deactivated",
+      };
+    }
+
     // Get ID token
     const idToken = await user.getIdToken();
 
@@ -0,0 +1,290 @@
+// src/lib/availability.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  query,
+  where,
+} from "firebase/firestore";
+import { HOLDING_STATUSES, addDays, getDatesInRange } from "./parking.js";
+import { shiftsOverlap } from "./shifts.js";
+import { getSpaces } from "./spaces.js";
+import { getCalendarEntries, getClosure } from "./calendar.js";
+
+// Occupancy is modelled the way booking.js claims it: a slot is one space on
+// one day, held per shift by the reservations booked on it and blocked as a
+// whole by maintenance. Booking, the space availability route and the
+// dashboard all read slots from here so they agree on what is free.
+// Overnight shifts reach into the next day, so a slot also knows the
+// reservations of the days around it.
+export const SLOT_STATUSES = {
+  FREE: "free",
+  OCCUPIED: "occupied",
+  // Holiday, blackout or weekly closure, or a shift that does not run that day
+  CLOSED: "closed",
+  MAINTENANCE: "maintenance",
+  INACTIVE: "inactive",
+};
+
+// Statuses that stop a booking. Closed days are left to the booking policy,
+// which skips them inside longer periods (see validateReservationPeriod).
+export const BLOCKING_STATUSES = [
+  SLOT_STATUSES.OCCUPIED,
+  SLOT_STATUSES.MAINTENANCE,
+  SLOT_STATUSES.INACTIVE,
+];
+
+/**
+ * Load everything that decides occupancy in a period, with one query per
+ * collection
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {object} options - Optional scope
+ * @param {string} options.spaceId - Only this space
+ * @param {object} options.filters - Space filters for getSpaces (attributes
+ *   and locationId); ignored with spaceId
+ * @param {boolean} options.includeClosures - Whether to load holidays and
+ *   blackouts; not needed to decide whether a booking fits
+ * @returns {Promise<object>} Spaces, reservations, maintenance windows and
+ *   calendar entries of the period
+ */
+export async function loadOccupancy(startDate, endDate, options = {}) {
+  const { spaceId = null, filters = {}, includeClosures = true } = options;
+
+  const reservationConstraints = [where("status", "in", HOLDING_STATUSES)];
+  const maintenanceConstraints = [where("status", "==", "scheduled")];
+  if (spaceId) {
+    reservationConstraints.push(where("spaceId", "==", spaceId));
+    maintenanceConstraints.push(where("spaceId", "==", spaceId));
+  }
+
+  const [spaces, reservationsSnapshot, maintenanceSnapshot, calendarEntries] =
+    await Promise.all([
+      spaceId
+        ? getDoc(doc(db, "parkingSpaces", spaceId)).then((spaceDoc) =>
+            spaceDoc.exists() ? [{ id: spaceDoc.id, ...spaceDoc.data() }] : []
+          )
+        : getSpaces(filters),
+      getDocs(query(collection(db, "reservations"), ...reservationConstraints)),
+      getDocs(
+        query(collection(db, "maintenanceWindows"), ...maintenanceConstraints)
+      ),
+      includeClosures ? getCalendarEntries(startDate, endDate) : [],
+    ]);
+
+  const overlapsPeriod = (entry) =>
+    entry.startDate <= endDate && entry.endDate >= startDate;
+  const overlapsPeriodOrNeighbours = (entry) =>
+    entry.startDate <= addDays(endDate, 1) &&
+    entry.endDate >= addDays(startDate, -1);
+
+  return {
+    startDate,
+    endDate,
+    spaces,
+    reservations: reservationsSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter(overlapsPeriodOrNeighbours),
+    maintenanceWindows: maintenanceSnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter(overlapsPeriod),
+    calendarEntries,
+  };
+}
+
+/**
+ * Get the slot of a space on a day
+ * @param {object} occupancy - Result of loadOccupancy
+ * @param {object} space - The space (id, isActive)
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {string|null} excludeReservationId - Reservation to leave out, e.g.
+ *   the one being changed
+ * @returns {{spaceId: string, date: string, isActive: boolean, closed: object|null, maintenance: object|null, reservations: Array<object>, previousReservations: Array<object>, nextReservations: Array<object>}}
+ */
+export function getSlot(occupancy, space, date, excludeReservationId = null) {
+  const coversDate = (day) => (entry) =>
+    entry.spaceId === space.id &&
+    entry.startDate <= day &&
+    entry.endDate >= day;
+  const reservationsOn = (day) =>
+    occupancy.reservations.filter(
+      (reservation) =>
+        coversDate(day)(reservation) && reservation.id !== excludeReservationId
+    );
+
+  return {
+    spaceId: space.id,
+    date,
+    isActive: space.isActive !== false,
+    closed: getClosure(date, occupancy.calendarEntries, space.id),
+    maintenance: occupancy.maintenanceWindows.find(coversDate(date)) || null,
+    reservations: reservationsOn(date),
+    previousReservations: reservationsOn(addDays(date, -1)),
+    nextReservations: reservationsOn(addDays(date, 1)),
+  };
+}
+
+/**
+ * Get the status of a shift in a slot. A shift is occupied when its time
+ * range overlaps a shift held on the slot, or an overnight shift held the
+ * day before or after it, the same rule claimSlots applies.
+ * @param {object} slot - Result of getSlot
+ * @param {object} shift - Shift definition, or just its label; days of the
+ *   week are only checked when given
+ * @returns {{status: string, reservationIds: Array<string>}}
+ */
+export function getShiftStatus(slot, { label, daysOfWeek }) {
+  const overlapping = [
+    ...slot.reservations.filter((reservation) =>
+      shiftsOverlap(reservation.shiftType, label)
+    ),
+    ...slot.previousReservations.filter((reservation) =>
+      shiftsOverlap(reservation.shiftType, label, 1)
+    ),
+    ...slot.nextReservations.filter((reservation) =>
+      shiftsOverlap(label, reservation.shiftType, 1)
+    ),
+  ];
+  const reservationIds = [
+    ...new Set(overlapping.map((reservation) => reservation.id)),
+  ];
+
+  let status = SLOT_STATUSES.FREE;
+  if (!slot.isActive) status = SLOT_STATUSES.INACTIVE;
+  else if (slot.maintenance) status = SLOT_STATUSES.MAINTENANCE;
+  // A held shift stays occupied even if the day closed afterwards
+  else if (reservationIds.length > 0) status = SLOT_STATUSES.OCCUPIED;
+  else if (
+    slot.closed ||
+    (daysOfWeek && !daysOfWeek.includes(new Date(slot.date).getUTCDay()))
+  ) {
+    status = SLOT_STATUSES.CLOSED;
+  }
+
+  return { status, reservationIds };
+}
+
+/**
+ * Whether a space can take a shift on every day of a period
+ * @param {object} occupancy - Result of loadOccupancy
+ * @param {object} space - The space (id, isActive)
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} shiftType - Shift label
+ * @param {string|null} excludeReservationId - Reservation to leave out
+ * @returns {boolean}
+ */
+export function isSpaceFree(
+  occupancy,
+  space,
+  startDate,
+  endDate,
+  shiftType,
+  excludeReservationId = null
+) {
+  return getDatesInRange(startDate, endDate).every((date) => {
+    const slot = getSlot(occupancy, space, date, excludeReservationId);
+    const { status } = getShiftStatus(slot, { label: shiftType });
+    return !BLOCKING_STATUSES.includes(status);
+  });
+}
+
+/**
+ * Check whether a space can take a shift on every day of a period
+ * @param {string} spaceId - Space document ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} shiftType - Shift label
+ * @param {string|null} excludeReservationId - Reservation being changed
+ * @returns {Promise<boolean>}
+ */
+export async function checkSpaceAvailability(
+  spaceId,
+  startDate,
+  endDate,
+  shiftType,
+  excludeReservationId = null
+) {
+  const occupancy = await loadOccupancy(startDate, endDate, {
+    spaceId,
+    includeClosures: false,
+  });
+  const space = occupancy.spaces[0] || { id: spaceId };
+
+  return isSpaceFree(
+    occupancy,
+    space,
+    startDate,
+    endDate,
+    shiftType,
+    excludeReservationId
+  );
+}
+
+/**
+ * Pick a free space for the requested period and shift.
+ * Spaces the user parked on before are preferred, and shifts are packed onto
+ * spaces already booked for a non-overlapping shift so that the remaining
+ * spaces stay free for longer bookings. Accessible and motorcycle spaces are
+ * only assigned when asked for, and EV chargers are kept for last.
+ * @param {string} userId - User ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} shiftType - Shift type
+ * @param {object} filters - Required space attributes (see spaces.js)
+ * @returns {Promise<object|null>} The chosen space, or null if none is free
+ */
+export async function findAvailableSpace(
+  userId,
+  startDate,
+  endDate,
+  shiftType,
+  filters = {}
+) {
+  const [occupancy, historySnapshot] = await Promise.all([
+    loadOccupancy(startDate, endDate, { filters, includeClosures: false }),
+    getDocs(
+      query(collection(db, "reservations"), where("userId", "==", userId))
+    ),
+  ]);
+
+  const spaces = occupancy.spaces.filter(
+    (space) =>
+      space.isActive !== false &&
+      (filters.accessible || !space.attributes.accessible) &&
+      (filters.motorcycle || !space.attributes.motorcycle)
+  );
+  const isSpareCharger = (space) =>
+    !filters.evCharging && space.attributes.evCharging;
+
+  // How often the user has parked on each space
+  const usageCount = {};
+  for (const reservationDoc of historySnapshot.docs) {
+    const { spaceId } = reservationDoc.data();
+    usageCount[spaceId] = (usageCount[spaceId] || 0) + 1;
+  }
+
+  // Spaces already holding a non-overlapping shift in the period
+  const packableSpaces = new Set(
+    occupancy.reservations
+      .filter((reservation) => !shiftsOverlap(reservation.shiftType, shiftType))
+      .map((reservation) => reservation.spaceId)
+  );
+
+  const ranked = spaces.sort(
+    (a, b) =>
+      isSpareCharger(a) - isSpareCharger(b) ||
+      !!usageCount[b.id] - !!usageCount[a.id] ||
+      packableSpaces.has(b.id) - packableSpaces.has(a.id) ||
+      (usageCount[b.id] || 0) - (usageCount[a.id] || 0) ||
+      a.spaceNumber - b.spaceNumber
+  );
+
+  return (
+    ranked.find((space) =>
+      isSpaceFree(occupancy, space, startDate, endDate, shiftType)
+    ) || null
+  );
+}
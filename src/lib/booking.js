@@ -0,0 +1,549 @@
+// src/lib/booking.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  runTransaction,
+  where,
+} from "firebase/firestore";
+import { HOLDING_STATUSES, addDays, getDatesInRange } from "./parking.js";
+import { shiftsOverlap } from "./shifts.js";
+import { SYSTEM_ACTOR, auditReservation, recordAudit } from "./audit.js";
+
+// Every reservation holds one slot per day in "reservationSlots". A slot
+// document covers one space on one day and maps each booked shift label to
+// the reservation holding it, so overlapping shifts are detected from a
+// single read and two concurrent bookings always touch the same document.
+// A maintenance window blocks the whole day by setting "blockedBy".
+
+const SLOT_CONFLICT = {
+  success: false,
+  error: "Parking space is not available for the selected period and shift",
+  status: 409,
+};
+
+/**
+ * Get the slot document ID for a space on a day
+ * @param {string} spaceId - Space document ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getSlotId(spaceId, date) {
+  return `${spaceId}_${date}`;
+}
+
+/**
+ * Claim and free slots inside a transaction. Releases are applied before
+ * claims, so a reservation can move within its own slots. The slots of the
+ * days around a claim are read too, as overnight shifts reach into the next
+ * day. Reservations made before slots existed have no slot documents, so
+ * the reservations holding a claimed space are merged into its slots, which
+ * backfills them as they are written. All reads happen here before any
+ * write, so callers must do their own reads first.
+ * @param {import("firebase/firestore").Transaction} transaction - The transaction
+ * @param {Array<object>} claims - Slots to claim: reservationId, spaceId,
+ *   startDate, endDate and shiftType
+ * @param {Array<object>} releases - Slots to free: reservationId, spaceId,
+ *   startDate and endDate
+ * @returns {Promise<boolean>} False if a claimed shift overlaps one held by
+ *   another reservation, or the day is blocked
+ */
+export async function claimSlots(transaction, claims, releases = []) {
+  const slots = {};
+
+  for (const { spaceId, startDate, endDate } of [...claims, ...releases]) {
+    for (const date of getDatesInRange(startDate, endDate)) {
+      slots[getSlotId(spaceId, date)] = { spaceId, date };
+    }
+  }
+
+  // Neighbouring days are only read, never written
+  const neighbours = {};
+  for (const { spaceId, startDate, endDate } of claims) {
+    for (const date of [addDays(startDate, -1), addDays(endDate, 1)]) {
+      const slotId = getSlotId(spaceId, date);
+      if (!slots[slotId]) neighbours[slotId] = { spaceId, date };
+    }
+  }
+
+  for (const [slotId, slot] of [
+    ...Object.entries(slots),
+    ...Object.entries(neighbours),
+  ]) {
+    const slotDoc = await transaction.get(doc(db, "reservationSlots", slotId));
+    slot.shifts = slotDoc.exists() ? { ...slotDoc.data().shifts } : {};
+    slot.blockedBy = slotDoc.exists() ? slotDoc.data().blockedBy || null : null;
+  }
+  const getSlot = (spaceId, date) => {
+    const slotId = getSlotId(spaceId, date);
+    return slots[slotId] || neighbours[slotId];
+  };
+
+  // Queries are not part of the transaction, but a reservation made since
+  // has claimed its slots, and those were read above
+  const claimedSpaceIds = [...new Set(claims.map((claim) => claim.spaceId))];
+  for (const spaceId of claimedSpaceIds) {
+    const snapshot = await getDocs(
+      query(
+        collection(db, "reservations"),
+        where("spaceId", "==", spaceId),
+        where("status", "in", HOLDING_STATUSES)
+      )
+    );
+
+    for (const reservationDoc of snapshot.docs) {
+      const { startDate, endDate, shiftType } = reservationDoc.data();
+      for (const slot of [
+        ...Object.values(slots),
+        ...Object.values(neighbours),
+      ]) {
+        if (
+          slot.spaceId === spaceId &&
+          slot.date >= startDate &&
+          slot.date <= endDate &&
+          !slot.shifts[shiftType]
+        ) {
+          slot.shifts[shiftType] = reservationDoc.id;
+        }
+      }
+    }
+  }
+
+  for (const { reservationId, spaceId, startDate, endDate } of releases) {
+    for (const date of getDatesInRange(startDate, endDate)) {
+      const { shifts } = slots[getSlotId(spaceId, date)];
+      for (const [label, holder] of Object.entries(shifts)) {
+        if (holder === reservationId) delete shifts[label];
+      }
+    }
+  }
+
+  // Whether another reservation holds a shift on a slot that overlaps the
+  // claimed shift, held on the day dayOffset after the slot
+  const isTaken = (claim, slot, dayOffset) =>
+    Object.entries(slot.shifts).some(
+      ([label, holder]) =>
+        holder !== claim.reservationId &&
+        (dayOffset < 0
+          ? shiftsOverlap(claim.shiftType, label, -dayOffset)
+          : shiftsOverlap(label, claim.shiftType, dayOffset))
+    );
+
+  for (const claim of claims) {
+    for (const date of getDatesInRange(claim.startDate, claim.endDate)) {
+      const slot = getSlot(claim.spaceId, date);
+      if (
+        slot.blockedBy ||
+        isTaken(claim, slot, 0) ||
+        isTaken(claim, getSlot(claim.spaceId, addDays(date, -1)), 1) ||
+        isTaken(claim, getSlot(claim.spaceId, addDays(date, 1)), -1)
+      ) {
+        return false;
+      }
+
+      slot.shifts[claim.shiftType] = claim.reservationId;
+    }
+  }
+
+  for (const [slotId, slot] of Object.entries(slots)) {
+    const slotRef = doc(db, "reservationSlots", slotId);
+
+    if (Object.keys(slot.shifts).length === 0 && !slot.blockedBy) {
+      transaction.delete(slotRef);
+    } else {
+      transaction.set(slotRef, {
+        ...slot,
+        updatedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Block or unblock every slot of a space in a period, regardless of the
+ * reservations holding them
+ * @param {string} spaceId - Space document ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @param {string|null} blockedBy - ID of the blocking maintenance window, or
+ *   null to unblock
+ * @returns {Promise<void>}
+ */
+export async function setSlotsBlocked(spaceId, startDate, endDate, blockedBy) {
+  await runTransaction(db, async (transaction) => {
+    const dates = getDatesInRange(startDate, endDate);
+    const slotRefs = dates.map((date) =>
+      doc(db, "reservationSlots", getSlotId(spaceId, date))
+    );
+
+    const slotDocs = [];
+    for (const slotRef of slotRefs) {
+      slotDocs.push(await transaction.get(slotRef));
+    }
+
+    slotDocs.forEach((slotDoc, index) => {
+      const shifts = slotDoc.exists() ? slotDoc.data().shifts : {};
+
+      if (!blockedBy && Object.keys(shifts).length === 0) {
+        if (slotDoc.exists()) transaction.delete(slotRefs[index]);
+        return;
+      }
+
+      transaction.set(slotRefs[index], {
+        spaceId,
+        date: dates[index],
+        shifts,
+        blockedBy,
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  });
+}
+
+// Fields that describe the booking itself and carry over to the records a
+// reservation is split into. Transfer offers, check-ins, no-shows and admin
+// actions stay with the original document.
+const SPLIT_FIELDS = [
+  "userId",
+  "hostId",
+  "guest",
+  "spaceId",
+  "shiftType",
+  "vehicle",
+  "status",
+  "hasPdfDocument",
+  "pdfDocument",
+  "approval",
+  "seriesId",
+  "lotteryId",
+  "waitlistEntryId",
+  "displacedFrom",
+];
+
+/**
+ * Copy the fields of a reservation that a split-off record keeps
+ * @param {object} reservation - Reservation data
+ * @returns {object}
+ */
+export function getSplitFields(reservation) {
+  return Object.fromEntries(
+    SPLIT_FIELDS.filter((field) => reservation[field] !== undefined).map(
+      (field) => [field, reservation[field]]
+    )
+  );
+}
+
+// Audit actions for the statuses a reservation can be closed with
+const CLOSE_ACTIONS = {
+  cancelled: "cancel",
+  released: "release",
+  rejected: "reject",
+};
+
+/**
+ * Create a reservation together with its slots
+ * @param {object} reservationData - The reservation to store
+ * @param {object} actor - Who is booking (see audit.js)
+ * @returns {Promise<{success: boolean, id?: string, error?: string, status?: number}>}
+ */
+export async function bookReservation(reservationData, actor = SYSTEM_ACTOR) {
+  const result = await runTransaction(db, async (transaction) => {
+    const reservationRef = doc(collection(db, "reservations"));
+
+    const claimed = await claimSlots(transaction, [
+      { reservationId: reservationRef.id, ...reservationData },
+    ]);
+    if (!claimed) return SLOT_CONFLICT;
+
+    transaction.set(reservationRef, reservationData);
+
+    return { success: true, id: reservationRef.id };
+  });
+
+  if (result.success) {
+    await recordAudit(actor, {
+      action: "create",
+      targetType: "reservation",
+      targetId: result.id,
+      after: reservationData,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Change the dates or shift of a reservation holding its slots, moving them
+ * @param {string} reservationId - Reservation ID
+ * @param {object} updates - Fields to change
+ * @param {object} actor - Who is making the change (see audit.js)
+ * @returns {Promise<{success: boolean, error?: string, status?: number}>}
+ */
+export async function updateReservationBooking(
+  reservationId,
+  updates,
+  actor = SYSTEM_ACTOR
+) {
+  const result = await runTransaction(db, async (transaction) => {
+    const reservationRef = doc(db, "reservations", reservationId);
+    const reservationDoc = await transaction.get(reservationRef);
+    const current = reservationDoc.data();
+
+    if (!HOLDING_STATUSES.includes(current.status)) {
+      return {
+        success: false,
+        error: "Reservation is not active",
+        status: 409,
+      };
+    }
+
+    const next = { ...current, ...updates };
+    const claimed = await claimSlots(
+      transaction,
+      [{ reservationId, ...next }],
+      [{ reservationId, ...current }]
+    );
+    if (!claimed) return SLOT_CONFLICT;
+
+    transaction.update(reservationRef, updates);
+
+    return { success: true, reservation: current };
+  });
+
+  if (!result.success) return result;
+
+  await auditReservation(actor, "update", reservationId, result.reservation);
+  return { success: true };
+}
+
+/**
+ * End a reservation holding its slots (cancel, release or reject it) and
+ * free them
+ * @param {string} reservationId - Reservation ID
+ * @param {object} fields - Fields to set, including the new status
+ * @param {object} actor - Who is closing the reservation (see audit.js)
+ * @param {Function|null} guard - Called with the reservation as read in the
+ *   transaction; an error result it returns stops the close
+ * @returns {Promise<{success: boolean, reservation?: object, error?: string, status?: number}>}
+ */
+export async function closeReservation(
+  reservationId,
+  fields,
+  actor = SYSTEM_ACTOR,
+  guard = null
+) {
+  const result = await runTransaction(db, async (transaction) => {
+    const reservationRef = doc(db, "reservations", reservationId);
+    const reservationDoc = await transaction.get(reservationRef);
+    const reservation = reservationDoc.data();
+
+    if (!HOLDING_STATUSES.includes(reservation.status)) {
+      return {
+        success: false,
+        error: "Reservation is not active",
+        status: 409,
+      };
+    }
+
+    const guardError = guard && guard(reservation);
+    if (guardError) return guardError;
+
+    await claimSlots(transaction, [], [{ reservationId, ...reservation }]);
+    transaction.update(reservationRef, fields);
+
+    return { success: true, reservation };
+  });
+
+  if (result.success) {
+    await auditReservation(
+      actor,
+      CLOSE_ACTIONS[fields.status] || "close",
+      reservationId,
+      result.reservation
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Delete a reservation that never became usable and free its slots
+ * @param {string} reservationId - Reservation ID
+ * @param {object} actor - Who is deleting the reservation (see audit.js)
+ * @returns {Promise<void>}
+ */
+export async function deleteReservation(reservationId, actor = SYSTEM_ACTOR) {
+  const reservation = await runTransaction(db, async (transaction) => {
+    const reservationRef = doc(db, "reservations", reservationId);
+    const reservationDoc = await transaction.get(reservationRef);
+    if (!reservationDoc.exists()) return null;
+
+    await claimSlots(
+      transaction,
+      [],
+      [{ reservationId, ...reservationDoc.data() }]
+    );
+    transaction.delete(reservationRef);
+
+    return reservationDoc.data();
+  });
+
+  if (reservation) {
+    await recordAudit(actor, {
+      action: "delete",
+      targetType: "reservation",
+      targetId: reservationId,
+      before: reservation,
+    });
+  }
+}
+
+/**
+ * Release part of a reservation. The released days are split off into their
+ * own "released" record and the days that remain are kept active, in the
+ * original document and, when a gap opens in the middle, in a new one that
+ * carries over the schedule document. The reservation is read again in the
+ * transaction, and nothing is released if it stopped holding its slots, its
+ * period changed in the meantime or its remaining days cannot be claimed.
+ * @param {string} reservationId - Reservation ID
+ * @param {object} reservation - Reservation data
+ * @param {string} releaseStart - First day to release (YYYY-MM-DD)
+ * @param {string} releaseEnd - Last day to release (YYYY-MM-DD)
+ * @param {object} actor - Who is releasing the days (see audit.js)
+ * @param {Function|null} guard - Called with the reservation as read in the
+ *   transaction; an error result it returns stops the release
+ * @returns {Promise<{success: boolean, released?: object, remaining?: Array<object>, error?: string, status?: number}>}
+ */
+export async function releaseReservationDays(
+  reservationId,
+  reservation,
+  releaseStart,
+  releaseEnd,
+  actor = SYSTEM_ACTOR,
+  guard = null
+) {
+  const now = new Date().toISOString();
+
+  const remaining = [];
+  if (releaseStart > reservation.startDate) {
+    remaining.push({
+      startDate: reservation.startDate,
+      endDate: addDays(releaseStart, -1),
+    });
+  }
+  if (releaseEnd < reservation.endDate) {
+    remaining.push({
+      startDate: addDays(releaseEnd, 1),
+      endDate: reservation.endDate,
+    });
+  }
+
+  const released = {
+    ...getSplitFields(reservation),
+    startDate: releaseStart,
+    endDate: releaseEnd,
+    status: "released",
+    releasedAt: now,
+  };
+
+  if (remaining.length === 0) {
+    const closed = await closeReservation(
+      reservationId,
+      {
+        releasedAt: now,
+        status: "released",
+      },
+      actor,
+      guard
+    );
+    if (!closed.success) return closed;
+
+    return {
+      success: true,
+      released: { id: reservationId, ...released },
+      remaining,
+    };
+  }
+
+  const [first, second] = remaining;
+  const reservationRef = doc(db, "reservations", reservationId);
+  const secondRef = second ? doc(collection(db, "reservations")) : null;
+  const releasedRef = doc(collection(db, "reservations"));
+  const secondData = second && {
+    ...getSplitFields(reservation),
+    ...second,
+    splitFrom: reservationId,
+    createdAt: now,
+  };
+
+  const result = await runTransaction(db, async (transaction) => {
+    const current = (await transaction.get(reservationRef)).data();
+    if (!current || !HOLDING_STATUSES.includes(current.status)) {
+      return {
+        success: false,
+        error: "Reservation is not active",
+        status: 409,
+      };
+    }
+    if (
+      current.startDate !== reservation.startDate ||
+      current.endDate !== reservation.endDate
+    ) {
+      return {
+        success: false,
+        error: "Reservation was changed in the meantime",
+        status: 409,
+      };
+    }
+
+    const guardError = guard && guard(current);
+    if (guardError) return guardError;
+
+    // Free everything after the first part; the second part is re-claimed
+    // under its own reservation ID
+    const claimed = await claimSlots(
+      transaction,
+      second ? [{ reservationId: secondRef.id, ...secondData }] : [],
+      [
+        {
+          reservationId,
+          spaceId: reservation.spaceId,
+          startDate: releaseStart,
+          endDate: reservation.endDate,
+        },
+      ]
+    );
+    if (!claimed) return SLOT_CONFLICT;
+
+    // The original document keeps the first remaining part
+    transaction.update(reservationRef, { ...first, updatedAt: now });
+    if (second) transaction.set(secondRef, secondData);
+    transaction.set(releasedRef, {
+      ...released,
+      splitFrom: reservationId,
+      createdAt: now,
+    });
+
+    return { success: true };
+  });
+  if (!result.success) return result;
+
+  await auditReservation(actor, "release", reservationId, reservation);
+  await auditReservation(actor, "create", releasedRef.id, null);
+  if (second) await auditReservation(actor, "create", secondRef.id, null);
+
+  const remainingReservations = [
+    { id: reservationId, ...reservation, ...first, updatedAt: now },
+  ];
+  if (second) remainingReservations.push({ id: secondRef.id, ...secondData });
+
+  return {
+    success: true,
+    released: { id: releasedRef.id, ...released, splitFrom: reservationId },
+    remaining: remainingReservations,
+  };
+}
@@ -0,0 +1,236 @@
+// src/lib/calendar.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+} from "firebase/firestore";
+import { getDatesInRange } from "./parking.js";
+
+export const CALENDAR_ENTRY_TYPES = {
+  HOLIDAY: "holiday",
+  BLACKOUT: "blackout",
+};
+
+// Days of the week the office is closed (0 = Sunday), until an admin sets
+// their own
+export const DEFAULT_CLOSED_WEEKDAYS = [0, 6];
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Validate a holiday or blackout entry
+ * @param {object} entry - Entry data
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateCalendarEntry({ date, type, name }) {
+  if (!date || !type || !name) {
+    return {
+      valid: false,
+      error: "Missing required fields: date, type, name",
+    };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+    return { valid: false, error: "date must be in YYYY-MM-DD format" };
+  }
+
+  if (!Object.values(CALENDAR_ENTRY_TYPES).includes(type)) {
+    return {
+      valid: false,
+      error: `type must be one of: ${Object.values(CALENDAR_ENTRY_TYPES).join(
+        ", "
+      )}`,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate the days of the week the office is closed
+ * @param {Array<number>} weekdays - Weekdays (0 = Sunday)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateClosedWeekdays(weekdays) {
+  if (
+    !Array.isArray(weekdays) ||
+    !weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return {
+      valid: false,
+      error: "closedWeekdays must be a list of weekdays (0 = Sunday)",
+    };
+  }
+
+  if (weekdays.length === 7) {
+    return { valid: false, error: "At least one weekday must stay open" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get the days of the week the office is closed
+ * @returns {Promise<Array<number>>} Weekdays (0 = Sunday)
+ */
+export async function getClosedWeekdays() {
+  const settingsDoc = await getDoc(doc(db, "calendarSettings", "weekly"));
+  return settingsDoc.exists()
+    ? settingsDoc.data().closedWeekdays
+    : DEFAULT_CLOSED_WEEKDAYS;
+}
+
+/**
+ * Set the days of the week the office is closed
+ * @param {Array<number>} weekdays - Weekdays (0 = Sunday), validated by the
+ *   caller
+ * @returns {Promise<Array<number>>} The stored weekdays
+ */
+export async function setClosedWeekdays(weekdays) {
+  const closedWeekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+
+  await setDoc(doc(db, "calendarSettings", "weekly"), {
+    closedWeekdays,
+    updatedAt: new Date().toISOString(),
+  });
+
+  return closedWeekdays;
+}
+
+/**
+ * Get holiday and blackout entries, optionally limited to a period. The
+ * weekly closures follow as entries with a weekday instead of a date.
+ * @param {string|null} startDate - First date (YYYY-MM-DD)
+ * @param {string|null} endDate - Last date (YYYY-MM-DD)
+ * @param {boolean} includeWeekly - Whether to add the weekly closures
+ * @returns {Promise<Array<object>>}
+ */
+export async function getCalendarEntries(
+  startDate = null,
+  endDate = null,
+  includeWeekly = true
+) {
+  const calendarRef = collection(db, "calendar");
+  const constraints = [];
+  if (startDate) constraints.push(where("date", ">=", startDate));
+  if (endDate) constraints.push(where("date", "<=", endDate));
+
+  const [snapshot, closedWeekdays] = await Promise.all([
+    getDocs(query(calendarRef, ...constraints)),
+    includeWeekly ? getClosedWeekdays() : [],
+  ]);
+
+  return [
+    ...snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => a.date.localeCompare(b.date)),
+    ...closedWeekdays.map((weekday) => ({
+      weekday,
+      type: "weekly",
+      name: `Closed on ${WEEKDAY_NAMES[weekday]}`,
+      spaceId: null,
+    })),
+  ];
+}
+
+/**
+ * Find why a day is closed for a space, if it is
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @param {Array<object>} entries - Calendar entries to check against
+ * @param {string|null} spaceId - Space ID; global entries always apply
+ * @returns {object|null} The matching entry, or null if the day is open
+ */
+export function getClosure(date, entries, spaceId = null) {
+  const entry = entries.find(
+    (entry) =>
+      entry.date === date && (!entry.spaceId || entry.spaceId === spaceId)
+  );
+  if (entry) return entry;
+
+  const weekday = new Date(date).getUTCDay();
+  const weekly = entries.find((entry) => entry.weekday === weekday);
+  return weekly ? { date, ...weekly } : null;
+}
+
+/**
+ * Get the closed days of a period for a space
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {string|null} spaceId - Space ID; global entries always apply
+ * @returns {Promise<object>} The closing entry per closed date
+ */
+export async function getClosedDates(startDate, endDate, spaceId = null) {
+  const entries = await getCalendarEntries(startDate, endDate);
+
+  const closedDates = {};
+  for (const date of getDatesInRange(startDate, endDate)) {
+    const closure = getClosure(date, entries, spaceId);
+    if (closure) closedDates[date] = closure;
+  }
+
+  return closedDates;
+}
+
+/**
+ * Add a holiday or blackout date, for all spaces or a single one
+ * @param {object} entry - Entry data
+ * @returns {Promise<{success: boolean, entry?: object, error?: string, status?: number}>}
+ */
+export async function createCalendarEntry({ date, type, name, spaceId }) {
+  if (spaceId) {
+    const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceId));
+    if (!spaceDoc.exists()) {
+      return { success: false, error: "Parking space not found", status: 404 };
+    }
+  }
+
+  const existing = await getCalendarEntries(date, date, false);
+  if (existing.some((entry) => (entry.spaceId || null) === (spaceId || null))) {
+    return {
+      success: false,
+      error: "A calendar entry already exists for this date",
+      status: 409,
+    };
+  }
+
+  const entryData = {
+    date,
+    type,
+    name,
+    spaceId: spaceId || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const docRef = await addDoc(collection(db, "calendar"), entryData);
+
+  return { success: true, entry: { id: docRef.id, ...entryData } };
+}
+
+/**
+ * Delete a holiday or blackout date
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<boolean>} False if the entry does not exist
+ */
+export async function deleteCalendarEntry(entryId) {
+  const entryRef = doc(db, "calendar", entryId);
+  const entryDoc = await getDoc(entryRef);
+  if (!entryDoc.exists()) return false;
+
+  await deleteDoc(entryRef);
+  return true;
+}
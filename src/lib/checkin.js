@@ -0,0 +1,200 @@
+// src/lib/checkin.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  updateDoc,
+  query,
+  where,
+  arrayUnion,
+  increment,
+  runTransaction,
+} from "firebase/firestore";
+import { toDateString } from "./parking.js";
+import { releaseReservationDays } from "./booking.js";
+import { promoteWaitlist } from "./waitlist.js";
+import { SYSTEM_ACTOR, auditReservation, auditUser } from "./audit.js";
+
+// Minutes after the shift start before an unchecked day counts as a no-show
+export const NO_SHOW_GRACE_MINUTES = 45;
+
+/**
+ * Get the moment a shift starts on a given day. Shift times are read as UTC,
+ * like the dates, so the result does not depend on the server's time zone.
+ * @param {string} shiftType - Shift type, e.g. "8:00-14:00"
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @returns {Date}
+ */
+export function getShiftStart(shiftType, date) {
+  const [hours, minutes] = shiftType.split("-")[0].split(":").map(Number);
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCHours(hours, minutes, 0, 0);
+  return start;
+}
+
+/**
+ * Record that the user arrived for one day of a reservation. The reservation
+ * is checked in a transaction, so a check-in cannot land on a reservation
+ * whose day is being released as a no-show at the same time.
+ * @param {string} reservationId - Reservation ID
+ * @param {string} userId - The user checking in, who must own the reservation
+ * @param {string} date - The day being checked in (YYYY-MM-DD)
+ * @returns {Promise<{success: boolean, reservation?: object, error?: string, status?: number}>}
+ */
+export async function checkInReservation(reservationId, userId, date) {
+  const reservationRef = doc(db, "reservations", reservationId);
+
+  return runTransaction(db, async (transaction) => {
+    const reservationDoc = await transaction.get(reservationRef);
+    if (!reservationDoc.exists()) {
+      return { success: false, error: "Reservation not found", status: 404 };
+    }
+
+    const reservation = reservationDoc.data();
+
+    if (reservation.userId !== userId) {
+      return { success: false, error: "Unauthorized", status: 403 };
+    }
+
+    if (reservation.status !== "active") {
+      return {
+        success: false,
+        error: "Reservation is not active",
+        status: 409,
+      };
+    }
+
+    if (reservation.startDate > date || reservation.endDate < date) {
+      return {
+        success: false,
+        error: "Reservation does not cover today",
+        status: 400,
+      };
+    }
+
+    if (reservation.checkIns?.includes(date)) {
+      return {
+        success: false,
+        error: "Already checked in for today",
+        status: 409,
+      };
+    }
+
+    transaction.update(reservationRef, {
+      checkIns: arrayUnion(date),
+      lastCheckInAt: new Date().toISOString(),
+    });
+
+    return { success: true, reservation };
+  });
+}
+
+/**
+ * Release today's part of every active reservation that was not checked in
+ * within the grace period, marking it as a no-show and counting it on the
+ * user record. A guest who does not show up is not counted against the host;
+ * the released record still shows the no-show.
+ * @param {object} actor - Who triggered the release (see audit.js)
+ * @returns {Promise<Array<{reservationId: string, userId: string, spaceId: string, guest: boolean}>>}
+ */
+export async function releaseNoShows(actor = SYSTEM_ACTOR) {
+  const now = new Date();
+  const today = toDateString(now);
+
+  const reservationsRef = collection(db, "reservations");
+  const q = query(reservationsRef, where("status", "==", "active"));
+  const snapshot = await getDocs(q);
+  const reservations = snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  const noShows = [];
+
+  for (const { id, ...reservation } of reservations) {
+    if (reservation.startDate > today || reservation.endDate < today) continue;
+    if (reservation.checkIns?.includes(today)) continue;
+
+    const deadline = getShiftStart(reservation.shiftType, today);
+    deadline.setUTCMinutes(deadline.getUTCMinutes() + NO_SHOW_GRACE_MINUTES);
+    if (now < deadline) continue;
+
+    // A check-in made since the reservation was read stops the release
+    const { success, released } = await releaseReservationDays(
+      id,
+      reservation,
+      today,
+      today,
+      actor,
+      (current) =>
+        current.checkIns?.includes(today)
+          ? {
+              success: false,
+              error: "Reservation was checked in",
+              status: 409,
+            }
+          : null
+    );
+    // Changed, closed or checked in since it was read; the next run looks
+    // at it again
+    if (!success) continue;
+
+    const releasedRef = doc(db, "reservations", released.id);
+    const releasedDoc = await getDoc(releasedRef);
+    await updateDoc(releasedRef, { noShow: true });
+    await auditReservation(actor, "no_show", released.id, releasedDoc.data());
+
+    if (!reservation.guest) {
+      const userRef = doc(db, "users", reservation.userId);
+      const userDoc = await getDoc(userRef);
+      await updateDoc(userRef, {
+        noShowCount: increment(1),
+        lastNoShowAt: now.toISOString(),
+      });
+      await auditUser(
+        actor,
+        "no_show",
+        reservation.userId,
+        userDoc.exists() ? userDoc.data() : null
+      );
+    }
+
+    await promoteWaitlist(reservation.spaceId, today, today);
+
+    noShows.push({
+      reservationId: released.id,
+      userId: reservation.userId,
+      spaceId: reservation.spaceId,
+      guest: !!reservation.guest,
+    });
+  }
+
+  return noShows;
+}
+
+/**
+ * Get users with at least one recorded no-show, most frequent first
+ * @returns {Promise<Array<object>>}
+ */
+export async function getNoShowReport() {
+  const usersRef = collection(db, "users");
+  const q = query(usersRef, where("noShowCount", ">", 0));
+  const snapshot = await getDocs(q);
+
+  return snapshot.docs
+    .map((doc) => {
+      const userData = doc.data();
+      return {
+        uid: doc.id,
+        firstName: userData.firstName,
+        lastName: userData.lastName,
+        username: userData.username,
+        department: userData.department,
+        noShowCount: userData.noShowCount,
+        lastNoShowAt: userData.lastNoShowAt,
+      };
+    })
+    .sort((a, b) => b.noShowCount - a.noShowCount);
+}
@@ -0,0 +1,139 @@
+// src/lib/dashboard.js
+import { db } from "./firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+import { getDatesInRange } from "./parking.js";
+import { getShifts } from "./shifts.js";
+import { getClosure } from "./calendar.js";
+import {
+  SLOT_STATUSES,
+  getShiftStatus,
+  getSlot,
+  loadOccupancy,
+} from "./availability.js";
+
+// Longest period the occupancy grid can be requested for
+export const MAX_GRID_DAYS = 31;
+
+/**
+ * Build the space × day × shift occupancy grid of a period. Occupancy is
+ * loaded once for the whole period (see availability.js).
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {string|null} locationId - Only spaces in this site, lot or floor
+ * @returns {Promise<{shifts: Array<object>, days: Array<object>, spaces: Array<object>, reservations: Array<object>}>}
+ */
+export async function getOccupancyGrid(startDate, endDate, locationId = null) {
+  const [occupancy, shifts] = await Promise.all([
+    loadOccupancy(startDate, endDate, { filters: { locationId } }),
+    getShifts(),
+  ]);
+
+  const spaceIds = new Set(occupancy.spaces.map((space) => space.id));
+  // Occupancy also holds the reservations of the days around the period
+  const reservations = occupancy.reservations.filter(
+    (reservation) =>
+      spaceIds.has(reservation.spaceId) &&
+      reservation.startDate <= endDate &&
+      reservation.endDate >= startDate
+  );
+
+  // Guest bookings are made by the host, who names the guest on the grid
+  const hostIds = [
+    ...new Set(
+      reservations
+        .filter((reservation) => reservation.guest)
+        .map((reservation) => reservation.userId)
+    ),
+  ];
+  const hostDocs = await Promise.all(
+    hostIds.map((hostId) => getDoc(doc(db, "users", hostId)))
+  );
+  const hosts = Object.fromEntries(
+    hostDocs
+      .filter((hostDoc) => hostDoc.exists())
+      .map((hostDoc) => [hostDoc.id, hostDoc.data()])
+  );
+
+  const dates = getDatesInRange(startDate, endDate);
+  const summaries = Object.fromEntries(
+    dates.map((date) => [
+      date,
+      {
+        ...Object.fromEntries(
+          Object.values(SLOT_STATUSES).map((status) => [status, 0])
+        ),
+        occupiedSpaces: 0,
+      },
+    ])
+  );
+
+  const grid = occupancy.spaces.map((space) => {
+    const days = {};
+    for (const date of dates) {
+      const slot = getSlot(occupancy, space, date);
+
+      const cells = {};
+      for (const shift of shifts) {
+        cells[shift.id] = getShiftStatus(slot, shift);
+        summaries[date][cells[shift.id].status] += 1;
+      }
+
+      if (slot.reservations.length > 0) summaries[date].occupiedSpaces += 1;
+      days[date] = {
+        closed: slot.closed,
+        maintenance: slot.maintenance,
+        shifts: cells,
+      };
+    }
+
+    return {
+      id: space.id,
+      spaceNumber: space.spaceNumber,
+      label: space.label || null,
+      isActive: space.isActive !== false,
+      attributes: space.attributes,
+      days,
+    };
+  });
+
+  return {
+    shifts: shifts.map(({ id, name, label }) => ({ id, name, label })),
+    days: dates.map((date) => ({
+      date,
+      closed: getClosure(date, occupancy.calendarEntries),
+      summary: summaries[date],
+    })),
+    spaces: grid,
+    reservations: reservations.map(
+      ({
+        id,
+        userId,
+        spaceId,
+        startDate,
+        endDate,
+        shiftType,
+        status,
+        guest,
+      }) => {
+        const host = hosts[userId];
+        return {
+          id,
+          userId,
+          spaceId,
+          startDate,
+          endDate,
+          shiftType,
+          status,
+          ...(guest && {
+            guest: {
+              ...guest,
+              label: host
+                ? `Guest of ${host.firstName} ${host.lastName}`
+                : "Guest",
+            },
+          }),
+        };
+      }
+    ),
+  };
+}
@@ -0,0 +1,127 @@
+// src/lib/guests.js
+import { db } from "./firebase.js";
+import { collection, getDocs, query, where } from "firebase/firestore";
+import {
+  getDatesInRange,
+  validateOpenDays,
+  validateReservationPeriod,
+} from "./parking.js";
+import { getApplicablePolicy } from "./policies.js";
+import { getCalendarEntries, getClosedDates, getClosure } from "./calendar.js";
+import { normalizePlate } from "./vehicles.js";
+
+/**
+ * Validate the visitor a guest reservation is for
+ * @param {object} guest - Guest data
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateGuest(guest) {
+  if (!guest || !guest.name || !guest.company || !guest.plate) {
+    return {
+      valid: false,
+      error: "Missing required guest fields: name, company, plate",
+    };
+  }
+
+  if (!/^[A-Z0-9]{2,10}$/.test(normalizePlate(guest.plate))) {
+    return {
+      valid: false,
+      error: "plate must be 2 to 10 letters and digits",
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get the active guest reservations a user is hosting
+ * @param {string} hostId - Host user ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getHostGuestReservations(hostId) {
+  const reservationsRef = collection(db, "reservations");
+  const q = query(
+    reservationsRef,
+    where("userId", "==", hostId),
+    where("status", "==", "active")
+  );
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((reservation) => reservation.guest)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Evaluate a guest booking against the host's policy. The period rules are
+ * the host's own; guest bookings count towards the separate guest limits
+ * instead of the host's quotas.
+ * @param {object} host - The host (uid, role, department)
+ * @param {object} booking - startDate, endDate and optionally spaceId
+ * @returns {Promise<{valid: boolean, rule?: string, error?: string}>}
+ */
+export async function evaluateGuestPolicy(
+  host,
+  { startDate, endDate, spaceId = null }
+) {
+  const { rules } = await getApplicablePolicy(host);
+
+  const periodValidation = validateReservationPeriod(startDate, endDate, rules);
+  if (!periodValidation.valid) return periodValidation;
+
+  const closedDates = await getClosedDates(startDate, endDate, spaceId);
+  const openDaysValidation = validateOpenDays(startDate, endDate, closedDates);
+  if (!openDaysValidation.valid) return openDaysValidation;
+
+  const today = new Date().toISOString().split("T")[0];
+  const hosted = (await getHostGuestReservations(host.uid)).filter(
+    (reservation) => reservation.endDate >= today
+  );
+
+  if (
+    rules.maxActiveGuestReservations !== null &&
+    hosted.length >= rules.maxActiveGuestReservations
+  ) {
+    return {
+      valid: false,
+      rule: "maxActiveGuestReservations",
+      error: `You can host at most ${rules.maxActiveGuestReservations} active guest reservations`,
+    };
+  }
+
+  if (rules.maxGuestDaysPerMonth !== null) {
+    const calendarEntries = await getCalendarEntries();
+    const months = {};
+    const addDates = (from, to, bookedSpaceId) => {
+      for (const date of getDatesInRange(from, to)) {
+        if (getClosure(date, calendarEntries, bookedSpaceId)) continue;
+
+        // Every guest counts, even when several share a day
+        const month = date.slice(0, 7);
+        months[month] = (months[month] || 0) + 1;
+      }
+    };
+
+    for (const reservation of hosted) {
+      addDates(reservation.startDate, reservation.endDate, reservation.spaceId);
+    }
+    addDates(startDate, endDate, spaceId);
+
+    for (const [month, days] of Object.entries(months)) {
+      if (month < startDate.slice(0, 7) || month > endDate.slice(0, 7)) {
+        continue;
+      }
+
+      if (days > rules.maxGuestDaysPerMonth) {
+        return {
+          valid: false,
+          rule: "maxGuestDaysPerMonth",
+          error: `Monthly guest quota of ${rules.maxGuestDaysPerMonth} days exceeded for ${month}`,
+        };
+      }
+    }
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,127 @@
+// src/lib/history.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  documentId,
+  getDocs,
+  limit as limitTo,
+  orderBy,
+  query,
+  startAfter,
+  where,
+} from "firebase/firestore";
+import { getSpaces } from "./spaces.js";
+
+// Every status a reservation can end up in
+export const RESERVATION_STATUSES = [
+  "active",
+  "pending_approval",
+  "cancelled",
+  "released",
+  "rejected",
+];
+
+export const HISTORY_SORT_FIELDS = ["startDate", "createdAt"];
+
+/**
+ * Encode the position after a reservation as an opaque cursor
+ * @param {object} reservation - Last reservation of a page
+ * @param {string} sortBy - Field the history is sorted by
+ * @returns {string}
+ */
+function encodeCursor(reservation, sortBy) {
+  return Buffer.from(
+    JSON.stringify([reservation[sortBy] || "", reservation.id])
+  ).toString("base64url");
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{key: string, id: string}|null} null if the cursor is invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof key !== "string" || typeof id !== "string") return null;
+    return { key, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a page of a user's reservations of any status, with the space each
+ * one was on. Reservations are ordered by the sort field, then by ID, so
+ * pages stay stable while reservations are added or change status. Only the
+ * page is read: filtering, ordering and the cursor are left to Firestore.
+ * @param {string} userId - User ID
+ * @param {object} options - Filters, sorting and paging
+ * @param {string} options.status - Reservation status
+ * @param {string} options.startDate - Only reservations ending on or after
+ * @param {string} options.endDate - Only reservations starting on or before
+ * @param {string} options.spaceId - Space document ID
+ * @param {string} options.shiftType - Shift label
+ * @param {string} options.sortBy - "startDate" (default) or "createdAt"
+ * @param {string} options.order - "desc" (default) or "asc"
+ * @param {string} options.cursor - nextCursor of the previous page
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{reservations: Array<object>, nextCursor: string|null}>}
+ */
+export async function getReservationHistory(userId, options = {}) {
+  const {
+    status,
+    startDate,
+    endDate,
+    spaceId,
+    shiftType,
+    sortBy = "startDate",
+    order = "desc",
+    cursor,
+    limit = 20,
+  } = options;
+
+  const constraints = [where("userId", "==", userId)];
+  if (status) constraints.push(where("status", "==", status));
+  if (spaceId) constraints.push(where("spaceId", "==", spaceId));
+  if (shiftType) constraints.push(where("shiftType", "==", shiftType));
+  if (startDate) constraints.push(where("endDate", ">=", startDate));
+  if (endDate) constraints.push(where("startDate", "<=", endDate));
+
+  constraints.push(orderBy(sortBy, order), orderBy(documentId(), order));
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (after) constraints.push(startAfter(after.key, after.id));
+
+  // One more than the page size tells whether another page follows
+  constraints.push(limitTo(limit + 1));
+
+  const [snapshot, spaces] = await Promise.all([
+    getDocs(query(collection(db, "reservations"), ...constraints)),
+    getSpaces(),
+  ]);
+
+  const matching = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  const page = matching.slice(0, limit);
+  const spacesById = Object.fromEntries(
+    spaces.map((space) => [space.id, space])
+  );
+
+  return {
+    reservations: page.map((reservation) => {
+      const space = spacesById[reservation.spaceId];
+      return {
+        ...reservation,
+        space: space
+          ? { spaceNumber: space.spaceNumber, label: space.label || null }
+          : null,
+      };
+    }),
+    nextCursor:
+      matching.length > limit
+        ? encodeCursor(page[page.length - 1], sortBy)
+        : null,
+  };
+}
@@ -0,0 +1,163 @@
+// src/lib/locations.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+} from "firebase/firestore";
+
+// Location levels from the top down; each level's parent is the one above.
+// Spaces sit on a floor, or directly in a lot or site without floors.
+export const LOCATION_TYPES = ["site", "lot", "floor"];
+
+/**
+ * Validate a new location
+ * @param {object} location - Location data
+ * @param {Array<object>} locations - Existing locations
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateLocation({ type, name, parentId }, locations) {
+  if (!type || !name) {
+    return { valid: false, error: "Missing required fields: type, name" };
+  }
+
+  const level = LOCATION_TYPES.indexOf(type);
+  if (level === -1) {
+    return {
+      valid: false,
+      error: `type must be one of: ${LOCATION_TYPES.join(", ")}`,
+    };
+  }
+
+  if (level === 0) {
+    if (parentId) {
+      return { valid: false, error: "A site cannot have a parent" };
+    }
+    return { valid: true };
+  }
+
+  const parent = locations.find((location) => location.id === parentId);
+  if (!parent || parent.type !== LOCATION_TYPES[level - 1]) {
+    return {
+      valid: false,
+      error: `A ${type} must belong to a ${LOCATION_TYPES[level - 1]}`,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get all locations
+ * @returns {Promise<Array<object>>}
+ */
+export async function getLocations() {
+  const snapshot = await getDocs(collection(db, "locations"));
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort(
+      (a, b) =>
+        LOCATION_TYPES.indexOf(a.type) - LOCATION_TYPES.indexOf(b.type) ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Resolve the site, lot and floor a location belongs to
+ * @param {string} locationId - Location ID
+ * @param {Array<object>} locations - All locations
+ * @returns {{siteId: string|null, lotId: string|null, floorId: string|null}|null}
+ *   Null if the location does not exist
+ */
+export function getLocationPath(locationId, locations) {
+  const path = { siteId: null, lotId: null, floorId: null };
+
+  let location = locations.find((location) => location.id === locationId);
+  if (!location) return null;
+
+  while (location) {
+    path[`${location.type}Id`] = location.id;
+    const { parentId } = location;
+    location = locations.find((location) => location.id === parentId);
+  }
+
+  return path;
+}
+
+/**
+ * Create a location
+ * @param {object} location - Location data
+ * @returns {Promise<object>} The created location
+ */
+export async function createLocation({ type, name, parentId }) {
+  const locationData = {
+    type,
+    name,
+    parentId: parentId || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const docRef = await addDoc(collection(db, "locations"), locationData);
+
+  return { id: docRef.id, ...locationData };
+}
+
+/**
+ * Rename a location
+ * @param {string} locationId - Location ID
+ * @param {string} name - New name
+ * @returns {Promise<object|null>} The updated location, or null if not found
+ */
+export async function renameLocation(locationId, name) {
+  const locationRef = doc(db, "locations", locationId);
+  const locationDoc = await getDoc(locationRef);
+  if (!locationDoc.exists()) return null;
+
+  const updateData = { name, updatedAt: new Date().toISOString() };
+  await updateDoc(locationRef, updateData);
+
+  return { id: locationId, ...locationDoc.data(), ...updateData };
+}
+
+/**
+ * Delete a location that holds no other locations and no spaces
+ * @param {string} locationId - Location ID
+ * @returns {Promise<{success: boolean, error?: string, status?: number}>}
+ */
+export async function deleteLocation(locationId) {
+  const locationRef = doc(db, "locations", locationId);
+  const locationDoc = await getDoc(locationRef);
+  if (!locationDoc.exists()) {
+    return { success: false, error: "Location not found", status: 404 };
+  }
+
+  const { type } = locationDoc.data();
+  const [children, spaces] = await Promise.all([
+    getDocs(
+      query(collection(db, "locations"), where("parentId", "==", locationId))
+    ),
+    getDocs(
+      query(
+        collection(db, "parkingSpaces"),
+        where(`${type}Id`, "==", locationId)
+      )
+    ),
+  ]);
+
+  if (!children.empty || !spaces.empty) {
+    return {
+      success: false,
+      error: "Location still contains other locations or parking spaces",
+      status: 409,
+    };
+  }
+
+  await deleteDoc(locationRef);
+  return { success: true };
+}
@@ -0,0 +1,424 @@
+// src/lib/lottery.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  runTransaction,
+} from "firebase/firestore";
+import { addDays, toDateString } from "./parking.js";
+import { findAvailableSpace } from "./availability.js";
+import { bookReservation } from "./booking.js";
+import { createNotification } from "./notifications.js";
+import { evaluateUserBookingPolicy } from "./policies.js";
+
+// How far back parking days count towards a user's lottery weight
+export const LOTTERY_HISTORY_DAYS = 30;
+
+// Lotteries whose date is not bookable directly: still taking requests, or
+// being drawn
+const PENDING_LOTTERY_STATUSES = ["open", "drawing"];
+
+/**
+ * Flag a date as high-demand and open a request window for it
+ * @param {object} lottery - Lottery data
+ * @param {string} lottery.date - The high-demand date (YYYY-MM-DD)
+ * @param {string} lottery.opensAt - ISO timestamp the window opens
+ * @param {string} lottery.closesAt - ISO timestamp the window closes
+ * @returns {Promise<{success: boolean, lottery?: object, error?: string, status?: number}>}
+ */
+export async function createLottery({ date, opensAt, closesAt }) {
+  const lotteryRef = doc(db, "lotteries", date);
+  const existing = await getDoc(lotteryRef);
+  if (existing.exists()) {
+    return {
+      success: false,
+      error: "A lottery already exists for this date",
+      status: 409,
+    };
+  }
+
+  const lotteryData = {
+    date,
+    opensAt,
+    closesAt,
+    status: "open",
+    createdAt: new Date().toISOString(),
+  };
+
+  await setDoc(lotteryRef, lotteryData);
+
+  return { success: true, lottery: { id: date, ...lotteryData } };
+}
+
+/**
+ * Get lotteries, optionally only those not drawn yet
+ * @param {boolean} openOnly - Whether to skip drawn lotteries
+ * @returns {Promise<Array<object>>}
+ */
+export async function getLotteries(openOnly = false) {
+  const lotteriesRef = collection(db, "lotteries");
+  const snapshot = await getDocs(
+    openOnly ? query(lotteriesRef, where("status", "==", "open")) : lotteriesRef
+  );
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the dates in a period that are still waiting for a lottery draw.
+ * Regular bookings are not accepted for those dates.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<string>>}
+ */
+export async function getPendingLotteryDates(startDate, endDate) {
+  const snapshot = await getDocs(
+    query(
+      collection(db, "lotteries"),
+      where("status", "in", PENDING_LOTTERY_STATUSES)
+    )
+  );
+  return snapshot.docs
+    .map((doc) => doc.data().date)
+    .filter((date) => date >= startDate && date <= endDate);
+}
+
+/**
+ * Submit a request to take part in a lottery
+ * @param {string} lotteryId - Lottery ID (the date)
+ * @param {string} userId - User ID
+ * @param {string} shiftType - Requested shift label
+ * @returns {Promise<{success: boolean, request?: object, error?: string, status?: number}>}
+ */
+export async function submitLotteryRequest(lotteryId, userId, shiftType) {
+  const lotteryDoc = await getDoc(doc(db, "lotteries", lotteryId));
+  if (!lotteryDoc.exists()) {
+    return { success: false, error: "Lottery not found", status: 404 };
+  }
+
+  const lottery = lotteryDoc.data();
+  const now = new Date().toISOString();
+  if (lottery.status !== "open" || now < lottery.opensAt) {
+    return {
+      success: false,
+      error: "Lottery is not accepting requests",
+      status: 409,
+    };
+  }
+  if (now > lottery.closesAt) {
+    return {
+      success: false,
+      error: "Lottery request window has closed",
+      status: 409,
+    };
+  }
+
+  // One request per user and lottery
+  const requestRef = doc(db, "lotteryRequests", `${lotteryId}_${userId}`);
+  const existing = await getDoc(requestRef);
+  if (existing.exists() && existing.data().status === "pending") {
+    return {
+      success: false,
+      error: "You already requested a space in this lottery",
+      status: 409,
+    };
+  }
+
+  const requestData = {
+    lotteryId,
+    userId,
+    shiftType,
+    status: "pending",
+    createdAt: now,
+  };
+  await setDoc(requestRef, requestData);
+
+  return { success: true, request: { id: requestRef.id, ...requestData } };
+}
+
+/**
+ * Withdraw a pending lottery request
+ * @param {string} lotteryId - Lottery ID (the date)
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, error?: string, status?: number}>}
+ */
+export async function withdrawLotteryRequest(lotteryId, userId) {
+  const requestRef = doc(db, "lotteryRequests", `${lotteryId}_${userId}`);
+  const requestDoc = await getDoc(requestRef);
+  if (!requestDoc.exists() || requestDoc.data().status !== "pending") {
+    return {
+      success: false,
+      error: "No pending lottery request found",
+      status: 404,
+    };
+  }
+
+  await updateDoc(requestRef, {
+    status: "withdrawn",
+    withdrawnAt: new Date().toISOString(),
+  });
+
+  return { success: true };
+}
+
+/**
+ * Get a user's lottery requests
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUserLotteryRequests(userId) {
+  const requestsRef = collection(db, "lotteryRequests");
+  const q = query(requestsRef, where("userId", "==", userId));
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.lotteryId.localeCompare(b.lotteryId));
+}
+
+/**
+ * Count the days a user parked in the period before a date
+ * @param {string} userId - User ID
+ * @param {string} date - The lottery date (YYYY-MM-DD)
+ * @returns {Promise<number>}
+ */
+async function countRecentParkingDays(userId, date) {
+  const historyStart = addDays(date, -LOTTERY_HISTORY_DAYS);
+  const historyEnd = addDays(date, -1);
+
+  const reservationsRef = collection(db, "reservations");
+  const q = query(
+    reservationsRef,
+    where("userId", "==", userId),
+    where("status", "==", "active")
+  );
+  const snapshot = await getDocs(q);
+
+  let days = 0;
+  for (const reservationDoc of snapshot.docs) {
+    const { startDate, endDate, guest } = reservationDoc.data();
+    if (guest) continue;
+
+    const from = startDate > historyStart ? startDate : historyStart;
+    const to = endDate < historyEnd ? endDate : historyEnd;
+    if (from <= to) {
+      days += (new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24) + 1;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Draw a lottery. Requests are ordered by a weighted random draw in which
+ * users with fewer recent parking days get a higher weight, then each is
+ * given a free space in that order until the spaces run out. A lottery is
+ * only drawn once its request window has closed.
+ * @param {string} lotteryId - Lottery ID (the date)
+ * @returns {Promise<{success: boolean, winners?: Array<object>, losers?: Array<object>, error?: string, status?: number}>}
+ */
+export async function drawLottery(lotteryId) {
+  const lotteryRef = doc(db, "lotteries", lotteryId);
+
+  // Claim the lottery in a transaction, so the admin route and the scheduled
+  // draw cannot both draw it. Lotteries whose date has passed are closed
+  // without a draw, as their spaces can no longer be used.
+  const claim = await runTransaction(db, async (transaction) => {
+    const lotteryDoc = await transaction.get(lotteryRef);
+    if (!lotteryDoc.exists()) {
+      return { success: false, error: "Lottery not found", status: 404 };
+    }
+
+    const lottery = lotteryDoc.data();
+    if (lottery.status !== "open") {
+      return { success: false, error: "Lottery already drawn", status: 409 };
+    }
+
+    if (lottery.date < toDateString(new Date())) {
+      transaction.update(lotteryRef, {
+        status: "expired",
+        expiredAt: new Date().toISOString(),
+      });
+      return {
+        success: false,
+        error: "Lottery date has passed",
+        status: 409,
+      };
+    }
+
+    if (new Date().toISOString() < lottery.closesAt) {
+      return {
+        success: false,
+        error: "Lottery request window is still open",
+        status: 409,
+      };
+    }
+
+    transaction.update(lotteryRef, {
+      status: "drawing",
+      drawStartedAt: new Date().toISOString(),
+    });
+    return { success: true, lottery };
+  });
+  if (!claim.success) return claim;
+
+  try {
+    return await drawClaimedLottery(lotteryId, claim.lottery);
+  } catch (error) {
+    // Reopen the lottery so its date is not left blocked; requests decided
+    // before the failure keep their outcome and are not drawn again
+    await updateDoc(lotteryRef, { status: "open", drawStartedAt: null });
+    throw error;
+  }
+}
+
+/**
+ * Draw a lottery claimed by drawLottery
+ * @param {string} lotteryId - Lottery ID (the date)
+ * @param {object} lottery - Lottery data
+ * @returns {Promise<{success: boolean, winners: Array<object>, losers: Array<object>}>}
+ */
+async function drawClaimedLottery(lotteryId, lottery) {
+  const requestsRef = collection(db, "lotteryRequests");
+  const snapshot = await getDocs(
+    query(
+      requestsRef,
+      where("lotteryId", "==", lotteryId),
+      where("status", "==", "pending")
+    )
+  );
+  const requests = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  // Weighted random order (each key is random^(1/weight), highest first)
+  const keyed = [];
+  for (const request of requests) {
+    const recentDays = await countRecentParkingDays(
+      request.userId,
+      lottery.date
+    );
+    const weight = 1 / (1 + recentDays);
+    keyed.push({ request, key: Math.pow(Math.random(), 1 / weight) });
+  }
+  keyed.sort((a, b) => b.key - a.key);
+
+  const winners = [];
+  const losers = [];
+
+  for (const { request } of keyed) {
+    // Winning requests are bookings, so the user's policy applies at draw
+    // time too; a request that breaks it loses with the violated rule
+    const policyValidation = await evaluateUserBookingPolicy(request.userId, {
+      startDate: lottery.date,
+      endDate: lottery.date,
+      shiftType: request.shiftType,
+    });
+
+    const space = policyValidation.valid
+      ? await findAvailableSpace(
+          request.userId,
+          lottery.date,
+          lottery.date,
+          request.shiftType
+        )
+      : null;
+
+    let booking = null;
+    if (space) {
+      booking = await bookReservation({
+        userId: request.userId,
+        spaceId: space.id,
+        startDate: lottery.date,
+        endDate: lottery.date,
+        shiftType: request.shiftType,
+        status: "active",
+        createdAt: new Date().toISOString(),
+        hasPdfDocument: false,
+        pdfDocument: null,
+        lotteryId,
+      });
+    }
+
+    if (!booking?.success) {
+      const violation = policyValidation.valid
+        ? null
+        : {
+            rule: policyValidation.rule || null,
+            error: policyValidation.error,
+          };
+
+      await updateDoc(doc(db, "lotteryRequests", request.id), {
+        status: "lost",
+        decidedAt: new Date().toISOString(),
+        policyViolation: violation,
+      });
+      await createNotification(
+        request.userId,
+        "lottery_lost",
+        violation
+          ? `Your lottery request for ${lottery.date} was not drawn: ${violation.error}`
+          : `No parking space was drawn for you on ${lottery.date}`,
+        { lotteryId }
+      );
+      losers.push({
+        requestId: request.id,
+        userId: request.userId,
+        ...(violation && { rule: violation.rule }),
+      });
+      continue;
+    }
+
+    await updateDoc(doc(db, "lotteryRequests", request.id), {
+      status: "won",
+      reservationId: booking.id,
+      decidedAt: new Date().toISOString(),
+    });
+    await createNotification(
+      request.userId,
+      "lottery_won",
+      `You won parking space ${space.spaceNumber} on ${lottery.date}`,
+      { lotteryId, reservationId: booking.id }
+    );
+    winners.push({
+      requestId: request.id,
+      userId: request.userId,
+      reservationId: booking.id,
+    });
+  }
+
+  // Regular booking reopens for the leftover spaces
+  await updateDoc(doc(db, "lotteries", lotteryId), {
+    status: "drawn",
+    drawnAt: new Date().toISOString(),
+  });
+
+  return { success: true, winners, losers };
+}
+
+/**
+ * Draw every open lottery whose request window has closed
+ * @returns {Promise<Array<string>>} IDs of the drawn lotteries
+ */
+export async function drawDueLotteries() {
+  const now = new Date().toISOString();
+  const today = toDateString(new Date());
+  const drawn = [];
+
+  // Lotteries past their date are drawn too, which closes them (see
+  // drawLottery)
+  for (const lottery of await getLotteries(true)) {
+    if (lottery.closesAt > now && lottery.date >= today) continue;
+
+    const result = await drawLottery(lottery.id);
+    if (result.success) drawn.push(lottery.id);
+  }
+
+  return drawn;
+}
@@ -0,0 +1,502 @@
+// src/lib/maintenance.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+} from "firebase/firestore";
+import {
+  HOLDING_STATUSES,
+  MAX_RANGE_DAYS,
+  countDays,
+  getSpaceMaintenanceWindows,
+  isDateString,
+  toDateString,
+} from "./parking.js";
+import { findAvailableSpace } from "./availability.js";
+import {
+  bookReservation,
+  closeReservation,
+  getSplitFields,
+  releaseReservationDays,
+  setSlotsBlocked,
+  updateReservationBooking,
+} from "./booking.js";
+import { createNotification } from "./notifications.js";
+import { SYSTEM_ACTOR } from "./audit.js";
+import { BOOLEAN_ATTRIBUTES, DEFAULT_SPACE_ATTRIBUTES } from "./spaces.js";
+
+/**
+ * Validate a maintenance window
+ * @param {object} maintenance - Maintenance window data
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateMaintenanceWindow({ startDate, endDate, reason }) {
+  if (!startDate || !endDate || !reason) {
+    return {
+      valid: false,
+      error: "Missing required fields: startDate, endDate, reason",
+    };
+  }
+
+  if (!isDateString(startDate) || !isDateString(endDate)) {
+    return { valid: false, error: "Dates must be in YYYY-MM-DD format" };
+  }
+
+  if (endDate < startDate) {
+    return { valid: false, error: "End date must be after start date" };
+  }
+
+  // Every day of the window is blocked in a single transaction
+  if (countDays(startDate, endDate) > MAX_RANGE_DAYS) {
+    return {
+      valid: false,
+      error: `Maintenance windows can span at most ${MAX_RANGE_DAYS} days`,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get maintenance windows, optionally for a single space
+ * @param {string|null} spaceId - Space document ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getMaintenanceWindows(spaceId = null) {
+  const windowsRef = collection(db, "maintenanceWindows");
+  const snapshot = await getDocs(
+    spaceId ? query(windowsRef, where("spaceId", "==", spaceId)) : windowsRef
+  );
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Get the reservations holding a space that overlap a period
+ * @param {string} spaceId - Space document ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string|null} endDate - Last day (YYYY-MM-DD), or null for no end
+ * @returns {Promise<Array<object>>}
+ */
+async function getSpaceReservations(spaceId, startDate, endDate = null) {
+  const reservationsRef = collection(db, "reservations");
+  const snapshot = await getDocs(
+    query(
+      reservationsRef,
+      where("spaceId", "==", spaceId),
+      where("status", "in", HOLDING_STATUSES)
+    )
+  );
+
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter(
+      (reservation) =>
+        (!endDate || reservation.startDate <= endDate) &&
+        reservation.endDate >= startDate
+    );
+}
+
+/**
+ * Move a reservation off a space that cannot be used, to a free space with
+ * the same attributes for the same shift, or cancel it when there is none.
+ * Only the days from today on that fall inside the period are displaced; a
+ * reservation reaching outside it is split, and keeps its other days on the
+ * original space.
+ * @param {object} reservation - Reservation with its document ID
+ * @param {object} attributes - Attributes of the original space
+ * @param {string} reason - Why the space cannot be used, shown to the user
+ * @param {object} fields - Extra fields to store on the reservation
+ * @param {object} period - When the space cannot be used
+ * @param {string} period.startDate - First day (YYYY-MM-DD)
+ * @param {string|null} period.endDate - Last day (YYYY-MM-DD), or null for
+ *   no end
+ * @param {object} actor - Who took the space out of use (see audit.js)
+ * @returns {Promise<{reservationId: string, userId: string, action: string, startDate: string, endDate: string, spaceId?: string, movedReservationId?: string}>}
+ */
+async function displaceReservation(
+  reservation,
+  attributes,
+  reason,
+  fields,
+  period,
+  actor
+) {
+  const now = new Date().toISOString();
+  const today = toDateString(new Date());
+
+  // The latest of the three starts
+  const startDate = [reservation.startDate, period.startDate, today].sort()[2];
+  const endDate =
+    period.endDate && period.endDate < reservation.endDate
+      ? period.endDate
+      : reservation.endDate;
+  const days = `from ${startDate} to ${endDate}`;
+
+  // An equivalent space has at least the features of the original one
+  const filters = { sizeClass: attributes.sizeClass };
+  for (const name of BOOLEAN_ATTRIBUTES) {
+    if (attributes[name]) filters[name] = true;
+  }
+
+  const space = await findAvailableSpace(
+    reservation.userId,
+    startDate,
+    endDate,
+    reservation.shiftType,
+    filters
+  );
+
+  let movedTo = null;
+  if (startDate === reservation.startDate && endDate === reservation.endDate) {
+    const moved =
+      space &&
+      (await updateReservationBooking(
+        reservation.id,
+        {
+          spaceId: space.id,
+          displacedFrom: reservation.spaceId,
+          ...fields,
+          updatedAt: now,
+        },
+        actor
+      ));
+
+    if (moved?.success) {
+      movedTo = reservation.id;
+    } else {
+      await closeReservation(
+        reservation.id,
+        {
+          status: "cancelled",
+          cancelledAt: now,
+          cancellationReason: reason,
+          ...fields,
+        },
+        actor
+      );
+    }
+  } else {
+    // Split the displaced days off the reservation, then book them on the
+    // new space. The split-off record shows what became of them.
+    const { id, ...current } = reservation;
+    const split = await releaseReservationDays(
+      id,
+      current,
+      startDate,
+      endDate,
+      actor
+    );
+    // Changed or closed since it was read, so it is left as it is
+    if (!split.success) {
+      return {
+        reservationId: reservation.id,
+        userId: reservation.userId,
+        startDate,
+        endDate,
+        action: "unchanged",
+        error: split.error,
+      };
+    }
+    const { released } = split;
+
+    const booking =
+      space &&
+      (await bookReservation(
+        {
+          ...getSplitFields(current),
+          spaceId: space.id,
+          startDate,
+          endDate,
+          displacedFrom: reservation.spaceId,
+          splitFrom: id,
+          ...fields,
+          createdAt: now,
+        },
+        actor
+      ));
+    if (booking?.success) movedTo = booking.id;
+
+    await updateDoc(
+      doc(db, "reservations", released.id),
+      movedTo
+        ? { movedTo, ...fields }
+        : {
+            status: "cancelled",
+            cancelledAt: now,
+            cancellationReason: reason,
+            ...fields,
+          }
+    );
+  }
+
+  const outcome = {
+    reservationId: reservation.id,
+    userId: reservation.userId,
+    startDate,
+    endDate,
+  };
+
+  if (movedTo) {
+    await createNotification(
+      reservation.userId,
+      "reservation_moved",
+      `Your reservation ${days} was moved to space ${space.spaceNumber}. ${reason}`,
+      { reservationId: movedTo, spaceId: space.id }
+    );
+
+    return {
+      ...outcome,
+      action: "moved",
+      spaceId: space.id,
+      ...(movedTo !== reservation.id && { movedReservationId: movedTo }),
+    };
+  }
+
+  await createNotification(
+    reservation.userId,
+    "reservation_cancelled",
+    `Your reservation ${days} was cancelled. ${reason}`,
+    { reservationId: reservation.id }
+  );
+
+  return { ...outcome, action: "cancelled" };
+}
+
+/**
+ * Take a space out of service for a period. The space's slots are blocked
+ * first so no new booking can slip in, then every active reservation
+ * overlapping the window is moved to another space or cancelled.
+ * @param {object} maintenance - Maintenance window data
+ * @param {string} maintenance.spaceId - Space document ID
+ * @param {string} maintenance.startDate - First day (YYYY-MM-DD)
+ * @param {string} maintenance.endDate - Last day (YYYY-MM-DD)
+ * @param {string} maintenance.reason - Why the space is unavailable
+ * @param {string} createdBy - Admin user ID
+ * @param {object} actor - Who is scheduling it (see audit.js)
+ * @returns {Promise<{success: boolean, window?: object, displaced?: Array<object>, error?: string, status?: number}>}
+ */
+export async function scheduleMaintenance(
+  { spaceId, startDate, endDate, reason },
+  createdBy,
+  actor = SYSTEM_ACTOR
+) {
+  const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceId));
+  if (!spaceDoc.exists()) {
+    return { success: false, error: "Parking space not found", status: 404 };
+  }
+
+  const attributes = {
+    ...DEFAULT_SPACE_ATTRIBUTES,
+    ...spaceDoc.data().attributes,
+  };
+
+  const windowData = {
+    spaceId,
+    startDate,
+    endDate,
+    reason,
+    status: "scheduled",
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+  const windowRef = await addDoc(
+    collection(db, "maintenanceWindows"),
+    windowData
+  );
+  const maintenance = { id: windowRef.id, ...windowData };
+
+  await setSlotsBlocked(spaceId, startDate, endDate, maintenance.id);
+
+  // Days already past are left as they were parked
+  const today = toDateString(new Date());
+  const affected =
+    endDate < today
+      ? []
+      : await getSpaceReservations(
+          spaceId,
+          startDate > today ? startDate : today,
+          endDate
+        );
+
+  const displaced = [];
+  for (const reservation of affected) {
+    displaced.push(
+      await displaceReservation(
+        reservation,
+        attributes,
+        `Parking space under maintenance: ${reason}`,
+        { maintenanceWindowId: maintenance.id },
+        { startDate, endDate },
+        actor
+      )
+    );
+  }
+
+  await updateDoc(windowRef, { displaced });
+
+  return { success: true, window: { ...maintenance, displaced }, displaced };
+}
+
+/**
+ * Cancel a scheduled maintenance window and unblock its days. Days still
+ * covered by another window of the same space stay blocked by that one.
+ * @param {string} windowId - Window ID
+ * @returns {Promise<{success: boolean, error?: string, status?: number}>}
+ */
+export async function cancelMaintenance(windowId) {
+  const windowRef = doc(db, "maintenanceWindows", windowId);
+  const windowDoc = await getDoc(windowRef);
+  if (!windowDoc.exists()) {
+    return {
+      success: false,
+      error: "Maintenance window not found",
+      status: 404,
+    };
+  }
+
+  const maintenance = windowDoc.data();
+  if (maintenance.status !== "scheduled") {
+    return {
+      success: false,
+      error: "Maintenance window is not scheduled",
+      status: 409,
+    };
+  }
+
+  await updateDoc(windowRef, {
+    status: "cancelled",
+    cancelledAt: new Date().toISOString(),
+  });
+
+  await setSlotsBlocked(
+    maintenance.spaceId,
+    maintenance.startDate,
+    maintenance.endDate,
+    null
+  );
+
+  const remaining = await getSpaceMaintenanceWindows(
+    maintenance.spaceId,
+    maintenance.startDate,
+    maintenance.endDate
+  );
+  for (const other of remaining) {
+    await setSlotsBlocked(
+      maintenance.spaceId,
+      other.startDate > maintenance.startDate
+        ? other.startDate
+        : maintenance.startDate,
+      other.endDate < maintenance.endDate ? other.endDate : maintenance.endDate,
+      other.id
+    );
+  }
+
+  return { success: true };
+}
+
+/**
+ * Get the reservations holding a space from today on, which have to be
+ * reassigned before the space can be deactivated
+ * @param {string} spaceId - Space document ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUpcomingSpaceReservations(spaceId) {
+  return getSpaceReservations(spaceId, toDateString(new Date()));
+}
+
+/**
+ * Activate or deactivate a space. A space with upcoming reservations is only
+ * deactivated when they may be reassigned; each is then moved to an
+ * equivalent space or cancelled.
+ * @param {string} spaceId - Space document ID
+ * @param {boolean} isActive - Whether the space takes bookings
+ * @param {boolean} reassign - Whether upcoming reservations may be moved
+ * @param {object} actor - Who is changing the space (see audit.js)
+ * @returns {Promise<{success: boolean, space?: object, displaced?: Array<object>, reservations?: Array<string>, error?: string, status?: number}>}
+ */
+export async function setSpaceActive(
+  spaceId,
+  isActive,
+  reassign = false,
+  actor = SYSTEM_ACTOR
+) {
+  const spaceRef = doc(db, "parkingSpaces", spaceId);
+  const spaceDoc = await getDoc(spaceRef);
+  if (!spaceDoc.exists()) {
+    return { success: false, error: "Parking space not found", status: 404 };
+  }
+
+  const space = spaceDoc.data();
+  const today = toDateString(new Date());
+  const upcoming = isActive ? [] : await getUpcomingSpaceReservations(spaceId);
+
+  if (upcoming.length > 0 && !reassign) {
+    return {
+      success: false,
+      error:
+        "Parking space has upcoming reservations; set reassign to move them",
+      reservations: upcoming.map((reservation) => reservation.id),
+      status: 409,
+    };
+  }
+
+  const updateData = { isActive, updatedAt: new Date().toISOString() };
+  await updateDoc(spaceRef, updateData);
+
+  const attributes = { ...DEFAULT_SPACE_ATTRIBUTES, ...space.attributes };
+  const displaced = [];
+  for (const reservation of upcoming) {
+    displaced.push(
+      await displaceReservation(
+        reservation,
+        attributes,
+        "Parking space taken out of service",
+        {},
+        { startDate: today, endDate: null },
+        actor
+      )
+    );
+  }
+
+  return {
+    success: true,
+    space: { id: spaceId, ...space, ...updateData },
+    displaced,
+  };
+}
+
+/**
+ * Delete a space. Spaces with upcoming reservations have to be deactivated
+ * first, which moves or cancels those reservations.
+ * @param {string} spaceId - Space document ID
+ * @returns {Promise<{success: boolean, error?: string, status?: number}>}
+ */
+export async function deleteSpace(spaceId) {
+  const spaceRef = doc(db, "parkingSpaces", spaceId);
+  const spaceDoc = await getDoc(spaceRef);
+  if (!spaceDoc.exists()) {
+    return { success: false, error: "Parking space not found", status: 404 };
+  }
+
+  if ((await getUpcomingSpaceReservations(spaceId)).length > 0) {
+    return {
+      success: false,
+      error:
+        "Parking space has upcoming reservations; deactivate it with reassign first",
+      status: 409,
+    };
+  }
+
+  await deleteDoc(spaceRef);
+  return { success: true };
+}
@@ -0,0 +1,70 @@
+// src/lib/notifications.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+} from "firebase/firestore";
+
+/**
+ * Store a notification for a user
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - Notification type, e.g. "lottery_lost"
+ * @param {string} message - Human readable message
+ * @param {object} data - Extra data for the client
+ * @returns {Promise<string>} Notification ID
+ */
+export async function createNotification(userId, type, message, data = {}) {
+  const docRef = await addDoc(collection(db, "notifications"), {
+    userId,
+    type,
+    message,
+    data,
+    read: false,
+    createdAt: new Date().toISOString(),
+  });
+
+  return docRef.id;
+}
+
+/**
+ * Get a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {boolean} unreadOnly - Whether to skip read notifications
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUserNotifications(userId, unreadOnly = false) {
+  const notificationsRef = collection(db, "notifications");
+  const q = query(notificationsRef, where("userId", "==", userId));
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((notification) => !unreadOnly || !notification.read)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Mark a user's notification as read
+ * @param {string} userId - User ID
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<boolean>} False if the notification is not the user's
+ */
+export async function markNotificationRead(userId, notificationId) {
+  const notificationRef = doc(db, "notifications", notificationId);
+  const notificationDoc = await getDoc(notificationRef);
+  if (!notificationDoc.exists() || notificationDoc.data().userId !== userId) {
+    return false;
+  }
+
+  await updateDoc(notificationRef, {
+    read: true,
+    readAt: new Date().toISOString(),
+  });
+  return true;
+}
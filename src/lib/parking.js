@@ -3,7 +3,6 @@ import {
   collection,
   doc,
   getDocs,
-  getDoc,
   setDoc,
   updateDoc,
   deleteDoc,
@@ -12,6 +11,8 @@ import {
   orderBy,
   Timestamp,
 } from "firebase/firestore";
+import { DEFAULT_SHIFTS, getShiftLabel } from "./shifts.js";
+import { DEFAULT_SPACE_ATTRIBUTES } from "./spaces.js";
 
 // Initialize parking spaces (run once)
 export async function initializeParkingSpaces() {
@@ -25,27 +26,119 @@ export async function initializeParkingSpaces() {
         spaceId: `space-${i}`,
         spaceNumber: i,
         isActive: true,
+        attributes: { ...DEFAULT_SPACE_ATTRIBUTES },
         createdAt: new Date().toISOString(),
       });
     }
   }
 }
 
-export const SHIFT_TYPES = {
-  MORNING: "8:00-14:00",
-  AFTERNOON: "14:00-21:00",
-  FULL_DAY: "9:30-18:30",
+// Statuses of reservations that hold their slots. Reservations awaiting
+// approval keep the space until an approver decides (see approvals.js).
+export const HOLDING_STATUSES = ["active", "pending_approval"];
+
+// Labels of the default shifts; admins can define more (see shifts.js)
+export const SHIFT_TYPES = Object.fromEntries(
+  DEFAULT_SHIFTS.map((shift) => [shift.id, getShiftLabel(shift)])
+);
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - The date to format
+ * @returns {string}
+ */
+export function toDateString(date) {
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Check that a value is a valid date in YYYY-MM-DD format
+ * @param {string|null} value - The value to check
+ * @returns {boolean}
+ */
+export function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !isNaN(Date.parse(value));
+}
+
+/**
+ * Count the days of a period, both ends included
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {number} 0 or less if the period ends before it starts
+ */
+export function countDays(startDate, endDate) {
+  return (
+    Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000) + 1
+  );
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} dateString - The date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string}
+ */
+export function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * List every date of a period
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array<string>}
+ */
+export function getDatesInRange(startDate, endDate) {
+  const dates = [];
+  const dayCount = countDays(startDate, endDate);
+  for (let day = 0; day < dayCount; day++) {
+    dates.push(addDays(startDate, day));
+  }
+  return dates;
+}
+
+// Longest period a date range from a request may cover. Checked before any
+// dates are listed, so a far-away end date cannot exhaust the server.
+export const MAX_RANGE_DAYS = 366;
+
+// Booking rules applied when no admin policy overrides them (see policies.js)
+export const DEFAULT_POLICY_RULES = {
+  maxAdvanceDays: 31,
+  maxReservationDays: 7,
+  maxActiveReservations: null,
+  maxDaysPerMonth: 10,
+  maxFullDaysPerWeek: 3,
+  documentRequiredAfterDays: 2,
+  allowedShifts: null,
+  maxActiveGuestReservations: 2,
+  maxGuestDaysPerMonth: 4,
 };
 
-export function validateReservationPeriod(startDate, endDate) {
+/**
+ * Validate the period of a booking
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {object} rules - The user's policy rules
+ * @param {object} closedDates - Closing entry per closed date (see
+ *   calendar.js); closed days inside a longer period are skipped
+ * @returns {{valid: boolean, rule?: string, error?: string}}
+ */
+export function validateReservationPeriod(
+  startDate,
+  endDate,
+  rules = DEFAULT_POLICY_RULES,
+  closedDates = {}
+) {
   const start = new Date(startDate);
   const end = new Date(endDate);
   const now = new Date();
   const maxFutureDate = new Date();
-  maxFutureDate.setMonth(maxFutureDate.getMonth() + 1); // 1 month ahead
+  maxFutureDate.setDate(maxFutureDate.getDate() + rules.maxAdvanceDays);
 
   // Check if dates are valid
-  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+  if (!isDateString(startDate) || !isDateString(endDate)) {
     return { valid: false, error: "Invalid date format" };
   }
 
@@ -54,11 +147,12 @@ export function validateReservationPeriod(startDate, endDate) {
     return { valid: false, error: "Cannot reserve parking for past dates" };
   }
 
-  // Check if reservation is not more than 1 month in advance
+  // Check the advance-booking horizon
   if (start > maxFutureDate) {
     return {
       valid: false,
-      error: "Cannot reserve parking more than 1 month in advance",
+      rule: "maxAdvanceDays",
+      error: `Cannot reserve parking more than ${rules.maxAdvanceDays} days in advance`,
     };
   }
 
@@ -67,77 +161,66 @@ export function validateReservationPeriod(startDate, endDate) {
     return { valid: false, error: "End date must be after start date" };
   }
 
-  // Check maximum reservation period (1 week)
+  // Check maximum reservation period
   const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-  if (daysDiff > 7) {
-    return { valid: false, error: "Maximum reservation period is 1 week" };
+  if (daysDiff > rules.maxReservationDays) {
+    return {
+      valid: false,
+      rule: "maxReservationDays",
+      error: `Maximum reservation period is ${rules.maxReservationDays} days`,
+    };
+  }
+
+  return validateOpenDays(startDate, endDate, closedDates);
+}
+
+/**
+ * Reject periods made up only of closed days. Only call this once the
+ * period itself is valid, as it lists every day of it.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {object} closedDates - Closing entry per closed date (see
+ *   calendar.js)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateOpenDays(startDate, endDate, closedDates) {
+  const dates = getDatesInRange(startDate, endDate);
+  if (dates.every((date) => closedDates[date])) {
+    const closure = closedDates[startDate];
+    return {
+      valid: false,
+      error:
+        dates.length === 1
+          ? `Parking is closed on ${startDate} (${closure.name})`
+          : "Parking is closed on every day of the selected period",
+    };
   }
 
   return { valid: true };
 }
 
-export async function checkSpaceAvailability(
-  spaceId,
-  startDate,
-  endDate,
-  shiftType,
-  excludeReservationId = null
-) {
-  const reservationsRef = collection(db, "reservations");
+/**
+ * Get the scheduled maintenance windows of a space that overlap a period
+ * @param {string} spaceId - Space document ID
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<Array<object>>}
+ */
+export async function getSpaceMaintenanceWindows(spaceId, startDate, endDate) {
+  const windowsRef = collection(db, "maintenanceWindows");
   const q = query(
-    reservationsRef,
+    windowsRef,
     where("spaceId", "==", spaceId),
-    where("status", "==", "active")
+    where("status", "==", "scheduled")
   );
 
   const snapshot = await getDocs(q);
-  const existingReservations = snapshot.docs.map((doc) => ({
-    id: doc.id,
-    ...doc.data(),
-  }));
-
-  const requestStart = new Date(startDate);
-  const requestEnd = new Date(endDate);
-
-  for (const reservation of existingReservations) {
-    // Skip if this is the same reservation being updated
-    if (excludeReservationId && reservation.id === excludeReservationId) {
-      continue;
-    }
-
-    const reservationStart = new Date(reservation.startDate);
-    const reservationEnd = new Date(reservation.endDate);
-
-    // Check date overlap
-    const datesOverlap =
-      requestStart <= reservationEnd && requestEnd >= reservationStart;
-
-    if (datesOverlap) {
-      // Check shift conflict
-      if (
-        reservation.shiftType === SHIFT_TYPES.FULL_DAY ||
-        shiftType === SHIFT_TYPES.FULL_DAY
-      ) {
-        return false; // Full day conflicts with any other reservation
-      }
-
-      if (reservation.shiftType === shiftType) {
-        return false; // Same shift conflict
-      }
-
-      // Morning and afternoon shifts can coexist
-      if (
-        (reservation.shiftType === SHIFT_TYPES.MORNING &&
-          shiftType === SHIFT_TYPES.AFTERNOON) ||
-        (reservation.shiftType === SHIFT_TYPES.AFTERNOON &&
-          shiftType === SHIFT_TYPES.MORNING)
-      ) {
-        continue; // No conflict
-      }
-    }
-  }
-
-  return true;
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter(
+      (maintenance) =>
+        maintenance.startDate <= endDate && maintenance.endDate >= startDate
+    );
 }
 
 export async function getUserReservations(userId) {
@@ -145,7 +228,7 @@ export async function getUserReservations(userId) {
   const q = query(
     reservationsRef,
     where("userId", "==", userId),
-    where("status", "==", "active"),
+    where("status", "in", HOLDING_STATUSES),
     orderBy("startDate", "asc")
   );
 
@@ -155,29 +238,3 @@ export async function getUserReservations(userId) {
     ...doc.data(),
   }));
 }
-
-export async function getSpaceReservations(spaceId, date) {
-  const targetDate = new Date(date);
-  const startOfDay = new Date(targetDate.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(targetDate.setHours(23, 59, 59, 999));
-
-  const reservationsRef = collection(db, "reservations");
-  const q = query(
-    reservationsRef,
-    where("spaceId", "==", spaceId),
-    where("status", "==", "active")
-  );
-
-  const snapshot = await getDocs(q);
-  const reservations = snapshot.docs.map((doc) => ({
-    id: doc.id,
-    ...doc.data(),
-  }));
-
-  // Filter reservations that overlap with the target date
-  return reservations.filter((reservation) => {
-    const reservationStart = new Date(reservation.startDate);
-    const reservationEnd = new Date(reservation.endDate);
-    return reservationStart <= endOfDay && reservationEnd >= startOfDay;
-  });
-}
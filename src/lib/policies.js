@@ -0,0 +1,339 @@
+// src/lib/policies.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+} from "firebase/firestore";
+import {
+  DEFAULT_POLICY_RULES,
+  HOLDING_STATUSES,
+  validateReservationPeriod,
+  validateOpenDays,
+} from "./parking.js";
+import { evaluateQuota } from "./quotas.js";
+import { resolveShift } from "./shifts.js";
+import { getClosedDates } from "./calendar.js";
+
+export const POLICY_RULE_NAMES = Object.keys(DEFAULT_POLICY_RULES);
+
+/**
+ * Validate the rules of a policy. Every rule is optional; rules left out
+ * are inherited from less specific policies.
+ * @param {object} rules - Policy rules
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validatePolicyRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return { valid: false, error: "rules must be an object" };
+  }
+
+  for (const [name, value] of Object.entries(rules)) {
+    if (!POLICY_RULE_NAMES.includes(name)) {
+      return { valid: false, error: `Unknown policy rule: ${name}` };
+    }
+
+    if (name === "allowedShifts") {
+      if (
+        value !== null &&
+        (!Array.isArray(value) ||
+          !value.every((shift) => typeof shift === "string"))
+      ) {
+        return {
+          valid: false,
+          error: "allowedShifts must be a list of shift IDs or null",
+        };
+      }
+      continue;
+    }
+
+    const nullable = [
+      "maxActiveReservations",
+      "maxDaysPerMonth",
+      "maxFullDaysPerWeek",
+      "maxActiveGuestReservations",
+      "maxGuestDaysPerMonth",
+    ].includes(name);
+    if (
+      !(nullable && value === null) &&
+      !(Number.isInteger(value) && value >= 0)
+    ) {
+      return {
+        valid: false,
+        error: `${name} must be a non-negative integer${
+          nullable ? " or null" : ""
+        }`,
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get all booking policies
+ * @returns {Promise<Array<object>>}
+ */
+export async function getPolicies() {
+  const snapshot = await getDocs(collection(db, "bookingPolicies"));
+  return snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+}
+
+/**
+ * Get the policy that applies to a user. Matching policies are layered from
+ * least to most specific: role only, department only, then role and
+ * department, each overriding the rules it sets.
+ * @param {object} user - The user (with role and department)
+ * @returns {Promise<{rules: object, policies: Array<string>}>}
+ */
+export async function getApplicablePolicy(user) {
+  const policies = await getPolicies();
+
+  const specificity = (policy) =>
+    (policy.role ? 1 : 0) + (policy.department ? 2 : 0);
+
+  const applicable = policies
+    .filter(
+      (policy) =>
+        (!policy.role || policy.role === user.role) &&
+        (!policy.department || policy.department === user.department)
+    )
+    .sort((a, b) => specificity(a) - specificity(b));
+
+  const rules = { ...DEFAULT_POLICY_RULES };
+  for (const policy of applicable) {
+    for (const [name, value] of Object.entries(policy.rules || {})) {
+      if (value !== undefined) rules[name] = value;
+    }
+  }
+
+  return {
+    rules,
+    policies: applicable.map((policy) => policy.id),
+  };
+}
+
+/**
+ * Whether a booking needs a schedule document. Such bookings also need an
+ * approver to sign off on the document (see approvals.js).
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {object} rules - The user's policy rules
+ * @returns {boolean}
+ */
+export function isDocumentRequired(startDate, endDate, rules) {
+  const daysDiff = Math.ceil(
+    (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)
+  );
+  return daysDiff > rules.documentRequiredAfterDays;
+}
+
+/**
+ * Count a user's active and pending reservations that have not ended yet
+ * @param {string} userId - User ID
+ * @param {string|null} excludeReservationId - Reservation to leave out
+ * @returns {Promise<number>}
+ */
+async function countActiveReservations(userId, excludeReservationId) {
+  const reservationsRef = collection(db, "reservations");
+  const q = query(
+    reservationsRef,
+    where("userId", "==", userId),
+    where("status", "in", HOLDING_STATUSES)
+  );
+
+  const snapshot = await getDocs(q);
+  const today = new Date().toISOString().split("T")[0];
+
+  // Guest reservations have their own limits (see guests.js)
+  return snapshot.docs.filter(
+    (doc) =>
+      doc.id !== excludeReservationId &&
+      !doc.data().guest &&
+      doc.data().endDate >= today
+  ).length;
+}
+
+/**
+ * Evaluate a booking against the policy that applies to the user
+ * @param {object} user - The user (uid, role, department)
+ * @param {object} booking - The booking to evaluate
+ * @param {string} booking.startDate - Start date (YYYY-MM-DD)
+ * @param {string} booking.endDate - End date (YYYY-MM-DD)
+ * @param {object} booking.shift - The resolved shift
+ * @param {boolean} booking.hasDocument - Whether a schedule document is attached
+ * @param {string} [booking.spaceId] - Booked space, if already chosen
+ * @param {string} [booking.excludeReservationId] - Reservation being updated
+ * @returns {Promise<{valid: boolean, rule?: string, error?: string, rules: object}>}
+ */
+export async function evaluateBookingPolicy(
+  user,
+  {
+    startDate,
+    endDate,
+    shift,
+    hasDocument,
+    spaceId = null,
+    excludeReservationId = null,
+  }
+) {
+  const { rules } = await getApplicablePolicy(user);
+
+  // The period is checked before its days are looked up
+  const periodValidation = validateReservationPeriod(startDate, endDate, rules);
+  if (!periodValidation.valid) {
+    return { ...periodValidation, rules };
+  }
+
+  const closedDates = await getClosedDates(startDate, endDate, spaceId);
+  const openDaysValidation = validateOpenDays(startDate, endDate, closedDates);
+  if (!openDaysValidation.valid) {
+    return { ...openDaysValidation, rules };
+  }
+
+  if (
+    rules.allowedShifts &&
+    !rules.allowedShifts.includes(shift.id) &&
+    !rules.allowedShifts.includes(shift.label)
+  ) {
+    return {
+      valid: false,
+      rule: "allowedShifts",
+      error: `Shift ${shift.name} is not allowed by your booking policy`,
+      rules,
+    };
+  }
+
+  if (isDocumentRequired(startDate, endDate, rules) && !hasDocument) {
+    return {
+      valid: false,
+      rule: "documentRequiredAfterDays",
+      error: `PDF schedule document is required for reservations longer than ${rules.documentRequiredAfterDays} days`,
+      rules,
+    };
+  }
+
+  if (rules.maxActiveReservations !== null) {
+    const activeCount = await countActiveReservations(
+      user.uid,
+      excludeReservationId
+    );
+    if (activeCount >= rules.maxActiveReservations) {
+      return {
+        valid: false,
+        rule: "maxActiveReservations",
+        error: `You can have at most ${rules.maxActiveReservations} active reservations`,
+        rules,
+      };
+    }
+  }
+
+  const quotaValidation = await evaluateQuota(user.uid, rules, {
+    startDate,
+    endDate,
+    shiftType: shift.label,
+    spaceId,
+    excludeReservationId,
+  });
+  if (!quotaValidation.valid) {
+    return { ...quotaValidation, rules };
+  }
+
+  return { valid: true, rules };
+}
+
+/**
+ * Evaluate a booking made for a user without their request, such as a
+ * waitlist promotion, a lottery win or an accepted transfer, against the
+ * user's policy
+ * @param {string} userId - User ID
+ * @param {object} booking - startDate, endDate, shiftType (label) and
+ *   optionally spaceId and excludeReservationId (a reservation the user
+ *   gives up in return)
+ * @returns {Promise<{valid: boolean, rule?: string, error?: string, rules: object}>}
+ */
+export async function evaluateUserBookingPolicy(
+  userId,
+  { startDate, endDate, shiftType, spaceId = null, excludeReservationId = null }
+) {
+  const userDoc = await getDoc(doc(db, "users", userId));
+  const shift = (await resolveShift(shiftType)) || {
+    id: null,
+    name: shiftType,
+    label: shiftType,
+  };
+
+  return evaluateBookingPolicy(
+    { uid: userId, ...(userDoc.exists() ? userDoc.data() : {}) },
+    {
+      startDate,
+      endDate,
+      shift,
+      hasDocument: false,
+      spaceId,
+      excludeReservationId,
+    }
+  );
+}
+
+/**
+ * Create a booking policy
+ * @param {object} policy - Policy data
+ * @returns {Promise<object>} The created policy
+ */
+export async function createPolicy({ name, role, department, rules }) {
+  const policyData = {
+    name,
+    role: role || null,
+    department: department || null,
+    rules,
+    createdAt: new Date().toISOString(),
+  };
+
+  const docRef = await addDoc(collection(db, "bookingPolicies"), policyData);
+
+  return { id: docRef.id, ...policyData };
+}
+
+/**
+ * Update a booking policy
+ * @param {string} policyId - Policy ID
+ * @param {object} updates - Fields to change
+ * @returns {Promise<object|null>} The updated policy, or null if not found
+ */
+export async function updatePolicy(policyId, updates) {
+  const policyRef = doc(db, "bookingPolicies", policyId);
+  const policyDoc = await getDoc(policyRef);
+  if (!policyDoc.exists()) return null;
+
+  const updateData = {
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+  await updateDoc(policyRef, updateData);
+
+  return { id: policyId, ...policyDoc.data(), ...updateData };
+}
+
+/**
+ * Delete a booking policy
+ * @param {string} policyId - Policy ID
+ * @returns {Promise<boolean>} False if the policy does not exist
+ */
+export async function deletePolicy(policyId) {
+  const policyRef = doc(db, "bookingPolicies", policyId);
+  const policyDoc = await getDoc(policyRef);
+  if (!policyDoc.exists()) return false;
+
+  await deleteDoc(policyRef);
+  return true;
+}
@@ -0,0 +1,233 @@
+// src/lib/quotas.js
+import { db } from "./firebase.js";
+import { collection, getDocs, query, where } from "firebase/firestore";
+import {
+  HOLDING_STATUSES,
+  addDays,
+  getDatesInRange,
+  toDateString,
+} from "./parking.js";
+import { getCalendarEntries, getClosure } from "./calendar.js";
+import { getShifts, isFullDayShift } from "./shifts.js";
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getWeekStart(date) {
+  const day = new Date(date).getUTCDay();
+  return addDays(date, -((day + 6) % 7));
+}
+
+/**
+ * Collect the days a user has booked, per calendar month and, for full-day
+ * shifts, per week. Several shifts on one date count as one parking day.
+ * @param {string} userId - User ID
+ * @param {Array<object>} calendarEntries - Holidays and blackouts to skip
+ * @param {Array<object>} shifts - Shift definitions, including inactive ones
+ * @param {string|null} excludeReservationId - Reservation to leave out
+ * @returns {Promise<{months: object, fullDayWeeks: object}>}
+ */
+async function getBookedDays(
+  userId,
+  calendarEntries,
+  shifts,
+  excludeReservationId = null
+) {
+  const reservationsRef = collection(db, "reservations");
+  const q = query(
+    reservationsRef,
+    where("userId", "==", userId),
+    where("status", "in", HOLDING_STATUSES)
+  );
+
+  const snapshot = await getDocs(q);
+  const months = {};
+  const fullDayWeeks = {};
+
+  for (const reservationDoc of snapshot.docs) {
+    if (reservationDoc.id === excludeReservationId) continue;
+    // Guest reservations have their own limits (see guests.js)
+    if (reservationDoc.data().guest) continue;
+
+    addBookedDays(
+      months,
+      fullDayWeeks,
+      reservationDoc.data(),
+      calendarEntries,
+      shifts
+    );
+  }
+
+  return { months, fullDayWeeks };
+}
+
+/**
+ * Add the days of a reservation to the per-month and per-week sets.
+ * Closed days inside the reservation are not counted.
+ * @param {object} months - Dates per month (YYYY-MM)
+ * @param {object} fullDayWeeks - Full-day dates per week start
+ * @param {object} reservation - Reservation with startDate, endDate, shiftType
+ *   and spaceId
+ * @param {Array<object>} calendarEntries - Holidays and blackouts to skip
+ * @param {Array<object>} shifts - Shift definitions, including inactive ones
+ */
+function addBookedDays(
+  months,
+  fullDayWeeks,
+  reservation,
+  calendarEntries,
+  shifts
+) {
+  const isFullDay = isFullDayShift(reservation.shiftType, shifts);
+
+  for (const date of getDatesInRange(
+    reservation.startDate,
+    reservation.endDate
+  )) {
+    if (getClosure(date, calendarEntries, reservation.spaceId)) continue;
+
+    const month = date.slice(0, 7);
+    if (!months[month]) months[month] = new Set();
+    months[month].add(date);
+
+    if (isFullDay) {
+      const week = getWeekStart(date);
+      if (!fullDayWeeks[week]) fullDayWeeks[week] = new Set();
+      fullDayWeeks[week].add(date);
+    }
+  }
+}
+
+/**
+ * Check that a booking keeps the user within their fair-use quotas
+ * @param {string} userId - User ID
+ * @param {object} rules - The user's policy rules
+ * @param {object} booking - startDate, endDate, shiftType and optionally
+ *   the spaceId and the excludeReservationId of the reservation being updated
+ * @returns {Promise<{valid: boolean, rule?: string, error?: string}>}
+ */
+export async function evaluateQuota(
+  userId,
+  rules,
+  { startDate, endDate, shiftType, spaceId = null, excludeReservationId = null }
+) {
+  if (rules.maxDaysPerMonth === null && rules.maxFullDaysPerWeek === null) {
+    return { valid: true };
+  }
+
+  const [calendarEntries, shifts] = await Promise.all([
+    getCalendarEntries(),
+    getShifts(true),
+  ]);
+  const { months, fullDayWeeks } = await getBookedDays(
+    userId,
+    calendarEntries,
+    shifts,
+    excludeReservationId
+  );
+  addBookedDays(
+    months,
+    fullDayWeeks,
+    { startDate, endDate, shiftType, spaceId },
+    calendarEntries,
+    shifts
+  );
+
+  if (rules.maxDaysPerMonth !== null) {
+    for (const [month, dates] of Object.entries(months)) {
+      if (month < startDate.slice(0, 7) || month > endDate.slice(0, 7)) {
+        continue;
+      }
+
+      if (dates.size > rules.maxDaysPerMonth) {
+        return {
+          valid: false,
+          rule: "maxDaysPerMonth",
+          error: `Monthly quota of ${rules.maxDaysPerMonth} parking days exceeded for ${month}`,
+        };
+      }
+    }
+  }
+
+  if (rules.maxFullDaysPerWeek !== null) {
+    for (const [week, dates] of Object.entries(fullDayWeeks)) {
+      if (week < getWeekStart(startDate) || week > getWeekStart(endDate)) {
+        continue;
+      }
+
+      if (dates.size > rules.maxFullDaysPerWeek) {
+        return {
+          valid: false,
+          rule: "maxFullDaysPerWeek",
+          error: `Weekly quota of ${rules.maxFullDaysPerWeek} full-day shifts exceeded for the week of ${week}`,
+        };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Summarise a user's quota usage for the current and next month
+ * @param {string} userId - User ID
+ * @param {object} rules - The user's policy rules
+ * @returns {Promise<{months: Array<object>, weeks: Array<object>}>}
+ */
+export async function getQuotaSummary(userId, rules) {
+  const [calendarEntries, shifts] = await Promise.all([
+    getCalendarEntries(),
+    getShifts(true),
+  ]);
+  const { months, fullDayWeeks } = await getBookedDays(
+    userId,
+    calendarEntries,
+    shifts
+  );
+
+  const now = new Date();
+  const currentMonth = toDateString(now).slice(0, 7);
+  const nextMonthDate = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+  );
+  const nextMonth = toDateString(nextMonthDate).slice(0, 7);
+
+  const remaining = (limit, used) =>
+    limit === null ? null : Math.max(limit - used, 0);
+
+  const monthSummaries = [currentMonth, nextMonth].map((month) => {
+    const usedDays = months[month]?.size || 0;
+    return {
+      month,
+      usedDays,
+      limit: rules.maxDaysPerMonth,
+      remainingDays: remaining(rules.maxDaysPerMonth, usedDays),
+    };
+  });
+
+  // Every week touching the current or next month
+  const lastDay = addDays(
+    toDateString(
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 2, 1))
+    ),
+    -1
+  );
+  const weekSummaries = [];
+  for (
+    let week = getWeekStart(`${currentMonth}-01`);
+    week <= lastDay;
+    week = addDays(week, 7)
+  ) {
+    const usedFullDays = fullDayWeeks[week]?.size || 0;
+    weekSummaries.push({
+      weekStart: week,
+      usedFullDays,
+      limit: rules.maxFullDaysPerWeek,
+      remainingFullDays: remaining(rules.maxFullDaysPerWeek, usedFullDays),
+    });
+  }
+
+  return { months: monthSummaries, weeks: weekSummaries };
+}
@@ -0,0 +1,409 @@
+// src/lib/recurring.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  arrayUnion,
+} from "firebase/firestore";
+import { toDateString, addDays } from "./parking.js";
+import { checkSpaceAvailability } from "./availability.js";
+import { promoteWaitlist } from "./waitlist.js";
+import { bookReservation, closeReservation } from "./booking.js";
+import { evaluateBookingPolicy, getApplicablePolicy } from "./policies.js";
+import { resolveShift } from "./shifts.js";
+import { getPendingLotteryDates } from "./lottery.js";
+import { getClosedDates } from "./calendar.js";
+import { SYSTEM_ACTOR, recordAudit } from "./audit.js";
+
+// Longest period a single series may cover
+export const MAX_SERIES_MONTHS = 3;
+
+/**
+ * Validate the definition of a recurring series
+ * @param {object} series - Series definition
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateSeries({ startDate, endDate, daysOfWeek }) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const today = toDateString(new Date());
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { valid: false, error: "Invalid date format" };
+  }
+
+  if (startDate < today) {
+    return { valid: false, error: "Cannot reserve parking for past dates" };
+  }
+
+  if (end < start) {
+    return { valid: false, error: "End date must be after start date" };
+  }
+
+  const maxEndDate = new Date(start);
+  maxEndDate.setUTCMonth(maxEndDate.getUTCMonth() + MAX_SERIES_MONTHS);
+  if (end > maxEndDate) {
+    return {
+      valid: false,
+      error: `Maximum recurring period is ${MAX_SERIES_MONTHS} months`,
+    };
+  }
+
+  if (
+    !Array.isArray(daysOfWeek) ||
+    daysOfWeek.length === 0 ||
+    !daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return {
+      valid: false,
+      error: "daysOfWeek must be a non-empty list of weekdays (0 = Sunday)",
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get the first date of a series that falls on one of its weekdays
+ * @param {object} series - Series definition
+ * @returns {string|null} The date (YYYY-MM-DD), or null if the period has
+ *   none of the weekdays
+ */
+export function getFirstOccurrence({ startDate, endDate, daysOfWeek }) {
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    if (daysOfWeek.includes(new Date(date).getUTCDay())) return date;
+  }
+  return null;
+}
+
+/**
+ * Create a recurring series and materialise its first occurrences
+ * @param {string} userId - User ID
+ * @param {object} series - Series definition
+ * @param {object} actor - Who is creating the series (see audit.js)
+ * @returns {Promise<{series: object, created: Array<object>, conflicts: Array<object>}>}
+ */
+export async function createSeries(
+  userId,
+  { spaceId, startDate, endDate, shiftType, daysOfWeek },
+  actor = SYSTEM_ACTOR
+) {
+  const seriesData = {
+    userId,
+    spaceId,
+    startDate,
+    endDate,
+    shiftType,
+    daysOfWeek: [...new Set(daysOfWeek)].sort((a, b) => a - b),
+    status: "active",
+    materializedUntil: null,
+    skippedDates: [],
+    conflicts: [],
+    createdAt: new Date().toISOString(),
+  };
+
+  const docRef = await addDoc(collection(db, "reservationSeries"), seriesData);
+  const series = { id: docRef.id, ...seriesData };
+
+  await recordAudit(actor, {
+    action: "create",
+    targetType: "series",
+    targetId: docRef.id,
+    after: seriesData,
+  });
+
+  return materializeSeries(series, actor);
+}
+
+/**
+ * Create reservations for every occurrence of a series that falls inside the
+ * rolling booking window and has not been materialised yet. Occurrences whose
+ * slot is taken or that break the user's booking policy are recorded as
+ * conflicts, with the violated rule, instead of failing the series.
+ * @param {object} series - Series with its document ID
+ * @param {object} actor - Who triggered the materialisation (see audit.js)
+ * @returns {Promise<{series: object, created: Array<object>, conflicts: Array<object>}>}
+ */
+export async function materializeSeries(series, actor = SYSTEM_ACTOR) {
+  const created = [];
+  const conflicts = [];
+
+  if (series.status !== "active") {
+    return { series, created, conflicts };
+  }
+
+  // Each occurrence is a booking like any other, so the owner's policy
+  // applies to it, and occurrences are only materialised as far ahead as the
+  // owner may book
+  const userDoc = await getDoc(doc(db, "users", series.userId));
+  const user = { uid: series.userId, ...userDoc.data() };
+  const { rules } = await getApplicablePolicy(user);
+  const shift = (await resolveShift(series.shiftType)) || {
+    id: null,
+    name: series.shiftType,
+    label: series.shiftType,
+  };
+
+  const today = toDateString(new Date());
+  const horizon = addDays(today, rules.maxAdvanceDays);
+  const lastDate = horizon < series.endDate ? horizon : series.endDate;
+
+  // Resume after the last materialised day, never before today
+  let firstDate = series.startDate > today ? series.startDate : today;
+  if (series.materializedUntil && series.materializedUntil >= firstDate) {
+    firstDate = addDays(series.materializedUntil, 1);
+  }
+
+  if (firstDate > lastDate) {
+    return { series, created, conflicts };
+  }
+
+  const lotteryDates = await getPendingLotteryDates(firstDate, lastDate);
+  const closedDates = await getClosedDates(firstDate, lastDate, series.spaceId);
+
+  for (
+    let current = new Date(firstDate);
+    toDateString(current) <= lastDate;
+    current.setUTCDate(current.getUTCDate() + 1)
+  ) {
+    const date = toDateString(current);
+
+    if (!series.daysOfWeek.includes(current.getUTCDay())) continue;
+    if (series.skippedDates.includes(date)) continue;
+
+    // Holidays and blackouts are skipped, not reported as conflicts
+    if (closedDates[date]) continue;
+
+    if (lotteryDates.includes(date)) {
+      conflicts.push({
+        date,
+        error: "Parking on this date is allocated by lottery",
+      });
+      continue;
+    }
+
+    const policyValidation = await evaluateBookingPolicy(user, {
+      startDate: date,
+      endDate: date,
+      shift,
+      hasDocument: false,
+      spaceId: series.spaceId,
+    });
+
+    if (!policyValidation.valid) {
+      conflicts.push({
+        date,
+        error: policyValidation.error,
+        rule: policyValidation.rule,
+      });
+      continue;
+    }
+
+    const isAvailable = await checkSpaceAvailability(
+      series.spaceId,
+      date,
+      date,
+      series.shiftType
+    );
+
+    if (!isAvailable) {
+      conflicts.push({
+        date,
+        error: "Parking space is not available for this date and shift",
+      });
+      continue;
+    }
+
+    const reservationData = {
+      userId: series.userId,
+      spaceId: series.spaceId,
+      startDate: date,
+      endDate: date,
+      shiftType: series.shiftType,
+      status: "active",
+      createdAt: new Date().toISOString(),
+      hasPdfDocument: false,
+      pdfDocument: null,
+      seriesId: series.id,
+    };
+
+    const booking = await bookReservation(reservationData, actor);
+    if (!booking.success) {
+      conflicts.push({ date, error: booking.error });
+      continue;
+    }
+    created.push({ id: booking.id, ...reservationData });
+  }
+
+  const updateData = {
+    materializedUntil: lastDate,
+    updatedAt: new Date().toISOString(),
+    ...(conflicts.length > 0 && { conflicts: arrayUnion(...conflicts) }),
+  };
+  await updateDoc(doc(db, "reservationSeries", series.id), updateData);
+
+  return {
+    series: {
+      ...series,
+      materializedUntil: lastDate,
+      conflicts: [...series.conflicts, ...conflicts],
+    },
+    created,
+    conflicts,
+  };
+}
+
+/**
+ * Get a user's active series
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUserSeries(userId) {
+  const seriesRef = collection(db, "reservationSeries");
+  const q = query(
+    seriesRef,
+    where("userId", "==", userId),
+    where("status", "==", "active")
+  );
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Top up the rolling window of every active series that has not ended
+ * @param {object} actor - Who triggered the materialisation (see audit.js)
+ * @returns {Promise<Array<{seriesId: string, created: number, conflicts: number}>>}
+ */
+export async function materializeDueSeries(actor = SYSTEM_ACTOR) {
+  const snapshot = await getDocs(
+    query(collection(db, "reservationSeries"), where("status", "==", "active"))
+  );
+  const today = toDateString(new Date());
+
+  const results = [];
+  for (const seriesDoc of snapshot.docs) {
+    const series = { id: seriesDoc.id, ...seriesDoc.data() };
+    if (series.endDate < today) continue;
+
+    const { created, conflicts } = await materializeSeries(series, actor);
+    results.push({
+      seriesId: series.id,
+      created: created.length,
+      conflicts: conflicts.length,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Get the active reservations materialised from a series
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array<object>>}
+ */
+async function getSeriesReservations(seriesId) {
+  const reservationsRef = collection(db, "reservations");
+  const q = query(
+    reservationsRef,
+    where("seriesId", "==", seriesId),
+    where("status", "==", "active")
+  );
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+}
+
+/**
+ * Cancel a whole series, or a single occurrence when a date is given
+ * @param {string} userId - User ID
+ * @param {string} seriesId - Series ID
+ * @param {string|null} date - Occurrence date (YYYY-MM-DD) to cancel
+ * @param {object} actor - Who is cancelling (see audit.js)
+ * @returns {Promise<{success: boolean, cancelled?: number, error?: string, status?: number}>}
+ */
+export async function cancelSeries(
+  userId,
+  seriesId,
+  date = null,
+  actor = SYSTEM_ACTOR
+) {
+  const seriesDoc = await getDoc(doc(db, "reservationSeries", seriesId));
+  if (!seriesDoc.exists()) {
+    return { success: false, error: "Series not found", status: 404 };
+  }
+
+  const series = seriesDoc.data();
+
+  if (series.userId !== userId) {
+    return { success: false, error: "Unauthorized", status: 403 };
+  }
+
+  if (series.status !== "active") {
+    return { success: false, error: "Series is not active", status: 409 };
+  }
+
+  const today = toDateString(new Date());
+  const reservations = (await getSeriesReservations(seriesId)).filter(
+    (reservation) =>
+      date ? reservation.startDate === date : reservation.startDate >= today
+  );
+
+  const now = new Date().toISOString();
+  if (date) {
+    // Remember the date so the rolling window never recreates it
+    await updateDoc(doc(db, "reservationSeries", seriesId), {
+      skippedDates: arrayUnion(date),
+      updatedAt: now,
+    });
+  } else {
+    await updateDoc(doc(db, "reservationSeries", seriesId), {
+      status: "cancelled",
+      cancelledAt: now,
+    });
+  }
+
+  await recordAudit(actor, {
+    action: date ? "skip_date" : "cancel",
+    targetType: "series",
+    targetId: seriesId,
+    before: series,
+    after: date
+      ? {
+          ...series,
+          skippedDates: [...(series.skippedDates || []), date],
+          updatedAt: now,
+        }
+      : { ...series, status: "cancelled", cancelledAt: now },
+  });
+
+  for (const reservation of reservations) {
+    await closeReservation(
+      reservation.id,
+      {
+        status: "cancelled",
+        cancelledAt: new Date().toISOString(),
+      },
+      actor
+    );
+
+    await promoteWaitlist(
+      reservation.spaceId,
+      reservation.startDate,
+      reservation.endDate
+    );
+  }
+
+  return { success: true, cancelled: reservations.length };
+}
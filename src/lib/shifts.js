@@ -0,0 +1,338 @@
+// src/lib/shifts.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+} from "firebase/firestore";
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_MINUTES = 24 * 60;
+
+// Shifts at least this long count as full days for the weekly quota
+export const FULL_DAY_MINUTES = 8 * 60;
+
+// Shifts used until an admin defines their own
+export const DEFAULT_SHIFTS = [
+  {
+    id: "MORNING",
+    name: "Morning",
+    startTime: "8:00",
+    endTime: "14:00",
+    daysOfWeek: ALL_DAYS,
+  },
+  {
+    id: "AFTERNOON",
+    name: "Afternoon",
+    startTime: "14:00",
+    endTime: "21:00",
+    daysOfWeek: ALL_DAYS,
+  },
+  {
+    id: "FULL_DAY",
+    name: "Full day",
+    startTime: "9:30",
+    endTime: "18:30",
+    daysOfWeek: ALL_DAYS,
+  },
+];
+
+/**
+ * Get the label stored on reservations for a shift, e.g. "8:00-14:00"
+ * @param {object} shift - Shift definition
+ * @returns {string}
+ */
+export function getShiftLabel(shift) {
+  return `${shift.startTime}-${shift.endTime}`;
+}
+
+/**
+ * Parse a time such as "8:00" or "08:00" into minutes after midnight
+ * @param {string} time - The time
+ * @returns {number} Minutes, or NaN if invalid
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+  if (!match) return NaN;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return NaN;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a shift label into its time range in minutes. Shifts ending at or
+ * before their start run past midnight.
+ * @param {string} label - Shift label, e.g. "22:00-6:00"
+ * @returns {{start: number, end: number}}
+ */
+export function parseShiftLabel(label) {
+  const [startTime, endTime] = label.split("-");
+  const start = parseTime(startTime);
+  let end = parseTime(endTime);
+  if (end <= start) end += DAY_MINUTES;
+
+  return { start, end };
+}
+
+/**
+ * Check whether two shifts overlap in time. Shifts on consecutive days only
+ * overlap when the first one runs past midnight.
+ * @param {string} labelA - First shift label
+ * @param {string} labelB - Second shift label
+ * @param {number} dayOffset - Days between the first shift and the second
+ * @returns {boolean}
+ */
+export function shiftsOverlap(labelA, labelB, dayOffset = 0) {
+  const a = parseShiftLabel(labelA);
+  const b = parseShiftLabel(labelB);
+  const offset = dayOffset * DAY_MINUTES;
+  return a.start < b.end + offset && b.start + offset < a.end;
+}
+
+/**
+ * Whether a shift counts as a full day: the FULL_DAY shift, whatever its
+ * times, or any shift at least FULL_DAY_MINUTES long
+ * @param {string} label - Shift label stored on the reservation
+ * @param {Array<object>} shifts - Shift definitions, including inactive ones
+ * @returns {boolean}
+ */
+export function isFullDayShift(label, shifts) {
+  const shift = shifts.find((shift) => shift.label === label);
+  if (shift?.id === "FULL_DAY") return true;
+
+  const { start, end } = parseShiftLabel(label);
+  return end - start >= FULL_DAY_MINUTES;
+}
+
+/**
+ * Get shift definitions, falling back to the defaults when none are stored
+ * @param {boolean} includeInactive - Whether to include deactivated shifts
+ * @returns {Promise<Array<object>>}
+ */
+export async function getShifts(includeInactive = false) {
+  const snapshot = await getDocs(collection(db, "shifts"));
+
+  const shifts = snapshot.empty
+    ? DEFAULT_SHIFTS.map((shift) => ({ ...shift, isActive: true }))
+    : snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  return shifts
+    .filter((shift) => includeInactive || shift.isActive !== false)
+    .map((shift) => ({ ...shift, label: getShiftLabel(shift) }))
+    .sort(
+      (a, b) => parseShiftLabel(a.label).start - parseShiftLabel(b.label).start
+    );
+}
+
+/**
+ * Find an active shift by its ID or label
+ * @param {string} value - Shift ID (e.g. "MORNING") or label (e.g. "8:00-14:00")
+ * @returns {Promise<object|null>}
+ */
+export async function resolveShift(value) {
+  const shifts = await getShifts();
+  return (
+    shifts.find((shift) => shift.id === value || shift.label === value) || null
+  );
+}
+
+/**
+ * Check that every day of a period falls on a weekday the shift applies to
+ * @param {object} shift - Shift definition
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateShiftDays(shift, startDate, endDate) {
+  const end = new Date(endDate);
+
+  // Every weekday of a period appears in its first week
+  const lastChecked = new Date(startDate);
+  lastChecked.setUTCDate(lastChecked.getUTCDate() + 6);
+
+  for (
+    let current = new Date(startDate);
+    current <= end && current <= lastChecked;
+    current.setUTCDate(current.getUTCDate() + 1)
+  ) {
+    if (!shift.daysOfWeek.includes(current.getUTCDay())) {
+      return {
+        valid: false,
+        error: `Shift ${shift.name} is not available on ${
+          current.toISOString().split("T")[0]
+        }`,
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a requested shift for a period
+ * @param {string} value - Shift ID or label
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {Promise<{valid: boolean, shift?: object, error?: string}>}
+ */
+export async function validateShift(value, startDate, endDate) {
+  const shift = await resolveShift(value);
+  if (!shift) {
+    const shifts = await getShifts();
+    return {
+      valid: false,
+      error:
+        "Invalid shift type. Must be one of: " +
+        shifts.map((shift) => shift.label).join(", "),
+    };
+  }
+
+  const daysValidation = validateShiftDays(shift, startDate, endDate);
+  if (!daysValidation.valid) return daysValidation;
+
+  return { valid: true, shift };
+}
+
+/**
+ * Validate a shift definition
+ * @param {object} shift - Shift definition
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateShiftDefinition({
+  name,
+  startTime,
+  endTime,
+  daysOfWeek,
+}) {
+  if (!name || typeof name !== "string") {
+    return { valid: false, error: "Shift name is required" };
+  }
+
+  if (isNaN(parseTime(startTime)) || isNaN(parseTime(endTime))) {
+    return { valid: false, error: "Times must be in H:MM format" };
+  }
+
+  if (parseTime(startTime) === parseTime(endTime)) {
+    return { valid: false, error: "Start and end time must differ" };
+  }
+
+  if (
+    !Array.isArray(daysOfWeek) ||
+    daysOfWeek.length === 0 ||
+    !daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return {
+      valid: false,
+      error: "daysOfWeek must be a non-empty list of weekdays (0 = Sunday)",
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Normalise a time to the H:MM form used in shift labels
+ * @param {string} time - The time
+ * @returns {string}
+ */
+function normalizeTime(time) {
+  const minutes = parseTime(time);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Store the default shifts so they can be edited (run once)
+ * @returns {Promise<void>}
+ */
+async function initializeShifts() {
+  const snapshot = await getDocs(collection(db, "shifts"));
+  if (!snapshot.empty) return;
+
+  for (const { id, ...shift } of DEFAULT_SHIFTS) {
+    await setDoc(doc(db, "shifts", id), {
+      ...shift,
+      isActive: true,
+      createdAt: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Create a shift definition
+ * @param {string} shiftId - Shift ID, e.g. "NIGHT"
+ * @param {object} shift - Shift definition
+ * @returns {Promise<{success: boolean, shift?: object, error?: string, status?: number}>}
+ */
+export async function createShift(
+  shiftId,
+  { name, startTime, endTime, daysOfWeek }
+) {
+  await initializeShifts();
+
+  const existing = await getDoc(doc(db, "shifts", shiftId));
+  if (existing.exists()) {
+    return { success: false, error: "Shift already exists", status: 409 };
+  }
+
+  const shiftData = {
+    name,
+    startTime: normalizeTime(startTime),
+    endTime: normalizeTime(endTime),
+    daysOfWeek: [...new Set(daysOfWeek)].sort((a, b) => a - b),
+    isActive: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  await setDoc(doc(db, "shifts", shiftId), shiftData);
+
+  return {
+    success: true,
+    shift: { id: shiftId, ...shiftData, label: getShiftLabel(shiftData) },
+  };
+}
+
+/**
+ * Update a shift definition. Existing reservations keep the times they
+ * were booked with, since they store the shift label.
+ * @param {string} shiftId - Shift ID
+ * @param {object} updates - Fields to change
+ * @returns {Promise<{success: boolean, shift?: object, error?: string, status?: number}>}
+ */
+export async function updateShift(shiftId, updates) {
+  await initializeShifts();
+
+  const shiftRef = doc(db, "shifts", shiftId);
+  const shiftDoc = await getDoc(shiftRef);
+  if (!shiftDoc.exists()) {
+    return { success: false, error: "Shift not found", status: 404 };
+  }
+
+  const merged = { ...shiftDoc.data(), ...updates };
+  const validation = validateShiftDefinition(merged);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, status: 400 };
+  }
+
+  const updateData = {
+    name: merged.name,
+    startTime: normalizeTime(merged.startTime),
+    endTime: normalizeTime(merged.endTime),
+    daysOfWeek: [...new Set(merged.daysOfWeek)].sort((a, b) => a - b),
+    isActive: merged.isActive !== false,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await updateDoc(shiftRef, updateData);
+
+  const shift = { ...shiftDoc.data(), ...updateData };
+  return {
+    success: true,
+    shift: { id: shiftId, ...shift, label: getShiftLabel(shift) },
+  };
+}
@@ -0,0 +1,328 @@
+// src/lib/spaces.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+} from "firebase/firestore";
+
+// Vehicle size classes, smallest first. A space fits its own class and
+// every smaller one.
+export const SIZE_CLASSES = ["compact", "standard", "large"];
+
+export const BOOLEAN_ATTRIBUTES = [
+  "evCharging",
+  "accessible",
+  "covered",
+  "motorcycle",
+];
+
+// Attributes of spaces created before attributes existed
+export const DEFAULT_SPACE_ATTRIBUTES = {
+  evCharging: false,
+  accessible: false,
+  covered: false,
+  motorcycle: false,
+  sizeClass: "standard",
+};
+
+/**
+ * Turn a space ID from a request into a space document ID. Plain numbers are
+ * space numbers ("7" is the space numbered 7, whatever its document ID), so
+ * they keep pointing at the same space number after spaces are added or
+ * renumbered; anything else already is a document ID.
+ * @param {string|number} spaceId - Space ID from the request
+ * @returns {Promise<string>} The document ID; a number no space has is
+ *   returned as it is, so looking it up finds nothing
+ */
+export async function resolveSpaceId(spaceId) {
+  if (!/^\d+$/.test(String(spaceId))) return String(spaceId);
+
+  const snapshot = await getDocs(
+    query(
+      collection(db, "parkingSpaces"),
+      where("spaceNumber", "==", Number(spaceId))
+    )
+  );
+  return snapshot.empty ? String(spaceId) : snapshot.docs[0].id;
+}
+
+/**
+ * Validate space attributes. Every attribute is optional; attributes left
+ * out keep their current value.
+ * @param {object} attributes - Space attributes
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateSpaceAttributes(attributes) {
+  if (
+    !attributes ||
+    typeof attributes !== "object" ||
+    Array.isArray(attributes)
+  ) {
+    return { valid: false, error: "attributes must be an object" };
+  }
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name === "sizeClass") {
+      if (!SIZE_CLASSES.includes(value)) {
+        return {
+          valid: false,
+          error: `sizeClass must be one of: ${SIZE_CLASSES.join(", ")}`,
+        };
+      }
+      continue;
+    }
+
+    if (!BOOLEAN_ATTRIBUTES.includes(name)) {
+      return { valid: false, error: `Unknown space attribute: ${name}` };
+    }
+
+    if (typeof value !== "boolean") {
+      return { valid: false, error: `${name} must be a boolean` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a space's number and label. On update both are optional.
+ * @param {object} space - Space data
+ * @param {boolean} partial - Whether fields may be left out
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateSpace({ spaceNumber, label }, partial = false) {
+  if (!partial && spaceNumber === undefined) {
+    return { valid: false, error: "Missing required field: spaceNumber" };
+  }
+
+  if (
+    spaceNumber !== undefined &&
+    (!Number.isInteger(spaceNumber) || spaceNumber < 1)
+  ) {
+    return { valid: false, error: "spaceNumber must be a positive integer" };
+  }
+
+  if (
+    label !== undefined &&
+    label !== null &&
+    (typeof label !== "string" || label.length > 50)
+  ) {
+    return {
+      valid: false,
+      error: "label must be a string of at most 50 characters",
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Read attribute filters from query parameters or a request body. Boolean
+ * filters only select spaces that have the attribute; sizeClass selects
+ * spaces that fit a vehicle of that class.
+ * @param {object} source - Plain object of filter values
+ * @returns {{valid: boolean, filters?: object, error?: string}}
+ */
+export function parseAttributeFilters(source) {
+  const filters = {};
+
+  for (const name of BOOLEAN_ATTRIBUTES) {
+    const value = source[name];
+    if (value === undefined || value === null) continue;
+
+    if (
+      value !== true &&
+      value !== false &&
+      value !== "true" &&
+      value !== "false"
+    ) {
+      return { valid: false, error: `${name} must be true or false` };
+    }
+    filters[name] = value === true || value === "true";
+  }
+
+  if (source.sizeClass !== undefined && source.sizeClass !== null) {
+    if (!SIZE_CLASSES.includes(source.sizeClass)) {
+      return {
+        valid: false,
+        error: `sizeClass must be one of: ${SIZE_CLASSES.join(", ")}`,
+      };
+    }
+    filters.sizeClass = source.sizeClass;
+  }
+
+  return { valid: true, filters };
+}
+
+/**
+ * Check whether a space matches attribute filters
+ * @param {object} space - Space with its attributes
+ * @param {object} filters - Filters from parseAttributeFilters
+ * @returns {boolean}
+ */
+export function matchesAttributes(space, filters) {
+  for (const name of BOOLEAN_ATTRIBUTES) {
+    if (
+      filters[name] !== undefined &&
+      space.attributes[name] !== filters[name]
+    ) {
+      return false;
+    }
+  }
+
+  if (
+    filters.sizeClass &&
+    SIZE_CLASSES.indexOf(space.attributes.sizeClass) <
+      SIZE_CLASSES.indexOf(filters.sizeClass)
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a space lies in a location (site, lot or floor)
+ * @param {object} space - Space with siteId, lotId and floorId
+ * @param {string} locationId - Location ID
+ * @returns {boolean}
+ */
+export function isInLocation(space, locationId) {
+  return [space.siteId, space.lotId, space.floorId].includes(locationId);
+}
+
+/**
+ * Get parking spaces with their attributes, optionally filtered
+ * @param {object} filters - Filters from parseAttributeFilters, plus an
+ *   optional locationId
+ * @returns {Promise<Array<object>>} Spaces ordered by space number
+ */
+export async function getSpaces(filters = {}) {
+  const snapshot = await getDocs(collection(db, "parkingSpaces"));
+
+  return snapshot.docs
+    .map((doc) => {
+      const space = doc.data();
+      return {
+        id: doc.id,
+        ...space,
+        attributes: { ...DEFAULT_SPACE_ATTRIBUTES, ...space.attributes },
+      };
+    })
+    .filter(
+      (space) =>
+        matchesAttributes(space, filters) &&
+        (!filters.locationId || isInLocation(space, filters.locationId))
+    )
+    .sort((a, b) => a.spaceNumber - b.spaceNumber);
+}
+
+/**
+ * Check whether a space number is used by any space but the given one
+ * @param {number} spaceNumber - Space number
+ * @param {string|null} excludeSpaceId - Space being renumbered
+ * @returns {Promise<boolean>}
+ */
+async function isSpaceNumberTaken(spaceNumber, excludeSpaceId = null) {
+  const snapshot = await getDocs(
+    query(
+      collection(db, "parkingSpaces"),
+      where("spaceNumber", "==", spaceNumber)
+    )
+  );
+  return snapshot.docs.some((doc) => doc.id !== excludeSpaceId);
+}
+
+/**
+ * Create a parking space. New spaces get a generated document ID and are
+ * referred to by it or by their number (see resolveSpaceId).
+ * @param {object} space - Space data
+ * @param {number} space.spaceNumber - Number shown to users
+ * @param {string|null} space.label - Optional label, e.g. "Visitor bay"
+ * @param {object} space.attributes - Attributes, defaults for any left out
+ * @param {object|null} space.path - siteId, lotId and floorId of its location
+ * @returns {Promise<{success: boolean, space?: object, error?: string, status?: number}>}
+ */
+export async function createSpace({ spaceNumber, label, attributes, path }) {
+  if (await isSpaceNumberTaken(spaceNumber)) {
+    return {
+      success: false,
+      error: `Space number ${spaceNumber} is already in use`,
+      status: 409,
+    };
+  }
+
+  const spaceRef = doc(collection(db, "parkingSpaces"));
+  const spaceData = {
+    spaceId: spaceRef.id,
+    spaceNumber,
+    label: label || null,
+    isActive: true,
+    attributes: { ...DEFAULT_SPACE_ATTRIBUTES, ...attributes },
+    ...path,
+    createdAt: new Date().toISOString(),
+  };
+  await setDoc(spaceRef, spaceData);
+
+  return { success: true, space: { id: spaceRef.id, ...spaceData } };
+}
+
+/**
+ * Update the details of a space in a single write. Everything is checked
+ * before the space is written, so a rejected update changes nothing.
+ * @param {string} spaceId - Space document ID
+ * @param {object} updates - Fields to change; unset fields are kept
+ * @param {number} updates.spaceNumber - New space number
+ * @param {string|null} updates.label - New label
+ * @param {object} updates.attributes - Attributes to change (validated by
+ *   the caller)
+ * @param {object} updates.path - siteId, lotId and floorId of the new
+ *   location
+ * @returns {Promise<{success: boolean, space?: object, error?: string, status?: number}>}
+ */
+export async function updateSpace(
+  spaceId,
+  { spaceNumber, label, attributes, path }
+) {
+  const spaceRef = doc(db, "parkingSpaces", spaceId);
+  const spaceDoc = await getDoc(spaceRef);
+  if (!spaceDoc.exists()) {
+    return { success: false, error: "Parking space not found", status: 404 };
+  }
+
+  const space = spaceDoc.data();
+  const updateData = { updatedAt: new Date().toISOString() };
+
+  if (spaceNumber !== undefined) {
+    if (await isSpaceNumberTaken(spaceNumber, spaceId)) {
+      return {
+        success: false,
+        error: `Space number ${spaceNumber} is already in use`,
+        status: 409,
+      };
+    }
+    updateData.spaceNumber = spaceNumber;
+  }
+
+  if (label !== undefined) updateData.label = label || null;
+
+  if (attributes !== undefined) {
+    updateData.attributes = {
+      ...DEFAULT_SPACE_ATTRIBUTES,
+      ...space.attributes,
+      ...attributes,
+    };
+  }
+
+  if (path !== undefined) Object.assign(updateData, path);
+
+  await updateDoc(spaceRef, updateData);
+
+  return { success: true, space: { id: spaceId, ...space, ...updateData } };
+}
@@ -0,0 +1,322 @@
+// src/lib/transfers.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  updateDoc,
+  query,
+  where,
+  runTransaction,
+} from "firebase/firestore";
+import { checkSpaceAvailability } from "./availability.js";
+import { claimSlots } from "./booking.js";
+import { SYSTEM_ACTOR, auditReservation } from "./audit.js";
+import { getDefaultReservationVehicle } from "./vehicles.js";
+import { evaluateUserBookingPolicy } from "./policies.js";
+
+/**
+ * Find a user by username
+ * @param {string} username - The username
+ * @returns {Promise<object|null>}
+ */
+export async function findUserByUsername(username) {
+  const usersRef = collection(db, "users");
+  const q = query(usersRef, where("username", "==", username));
+  const snapshot = await getDocs(q);
+
+  if (snapshot.empty) return null;
+
+  const userDoc = snapshot.docs[0];
+  return { uid: userDoc.id, ...userDoc.data() };
+}
+
+/**
+ * Offer a reservation to another user, optionally in exchange for one of theirs
+ * @param {string} reservationId - Reservation being offered
+ * @param {string} toUserId - Recipient user ID
+ * @param {string|null} swapReservationId - Recipient's reservation for a swap
+ * @param {object} actor - Who is offering (see audit.js)
+ * @returns {Promise<object>} The stored offer
+ */
+export async function offerTransfer(
+  reservationId,
+  toUserId,
+  swapReservationId = null,
+  actor = SYSTEM_ACTOR
+) {
+  const reservationRef = doc(db, "reservations", reservationId);
+  const before = (await getDoc(reservationRef)).data();
+
+  const transferOffer = {
+    type: swapReservationId ? "swap" : "transfer",
+    toUserId,
+    swapReservationId,
+    offeredAt: new Date().toISOString(),
+  };
+
+  await updateDoc(reservationRef, { transferOffer });
+  await auditReservation(actor, "transfer_offer", reservationId, before);
+
+  return transferOffer;
+}
+
+/**
+ * Withdraw or decline a pending offer
+ * @param {string} reservationId - Reservation with the offer
+ * @param {string} field - Timestamp field recording the outcome
+ * @param {string} action - Audit action
+ * @param {object} actor - Who is clearing the offer (see audit.js)
+ * @returns {Promise<void>}
+ */
+async function clearTransferOffer(reservationId, field, action, actor) {
+  const reservationRef = doc(db, "reservations", reservationId);
+  const before = (await getDoc(reservationRef)).data();
+
+  await updateDoc(reservationRef, {
+    transferOffer: null,
+    [field]: new Date().toISOString(),
+  });
+  await auditReservation(actor, action, reservationId, before);
+}
+
+/**
+ * Withdraw a pending offer (by the owner)
+ * @param {string} reservationId - Reservation with the offer
+ * @param {object} actor - Who is withdrawing (see audit.js)
+ * @returns {Promise<void>}
+ */
+export async function withdrawTransfer(reservationId, actor = SYSTEM_ACTOR) {
+  await clearTransferOffer(
+    reservationId,
+    "transferWithdrawnAt",
+    "transfer_withdraw",
+    actor
+  );
+}
+
+/**
+ * Decline a pending offer (by the recipient)
+ * @param {string} reservationId - Reservation with the offer
+ * @param {object} actor - Who is declining (see audit.js)
+ * @returns {Promise<void>}
+ */
+export async function declineTransfer(reservationId, actor = SYSTEM_ACTOR) {
+  await clearTransferOffer(
+    reservationId,
+    "transferDeclinedAt",
+    "transfer_decline",
+    actor
+  );
+}
+
+/**
+ * Accept a pending offer. Ownership of the offered reservation (and, for a
+ * swap, of the recipient's reservation) changes in a single transaction, so
+ * either both sides move or nothing does. The vehicle and schedule document
+ * belong to the previous owner, so each side gets its new owner's default
+ * vehicle and no document. Each new owner's booking policy and quota are
+ * checked as if they had booked the reservation themselves.
+ * @param {string} reservationId - Reservation with the offer
+ * @param {string} userId - The accepting recipient
+ * @param {object} actor - Who is accepting (see audit.js)
+ * @returns {Promise<{success: boolean, error?: string, rule?: string, status?: number}>}
+ */
+export async function acceptTransfer(
+  reservationId,
+  userId,
+  actor = SYSTEM_ACTOR
+) {
+  const reservationRef = doc(db, "reservations", reservationId);
+  const reservationDoc = await getDoc(reservationRef);
+  const reservation = reservationDoc.data();
+  const offer = reservation.transferOffer;
+
+  const swapRef = offer.swapReservationId
+    ? doc(db, "reservations", offer.swapReservationId)
+    : null;
+
+  // Re-check that both reservations still hold their slots
+  const sides = [{ id: reservationId, ...reservation }];
+  if (swapRef) {
+    const swapDoc = await getDoc(swapRef);
+    if (!swapDoc.exists()) {
+      return {
+        success: false,
+        error: "Reservation offered in exchange not found",
+        status: 404,
+      };
+    }
+    sides.push({ id: swapDoc.id, ...swapDoc.data() });
+  }
+
+  for (const side of sides) {
+    const isAvailable = await checkSpaceAvailability(
+      side.spaceId,
+      side.startDate,
+      side.endDate,
+      side.shiftType,
+      side.id
+    );
+
+    if (!isAvailable) {
+      return {
+        success: false,
+        error:
+          "Parking space is not available for the selected period and shift",
+        status: 409,
+      };
+    }
+  }
+
+  // The reservation each side gives up in a swap no longer counts for them
+  const [offered, swap] = sides;
+  const newOwners = [
+    { userId, reservation: offered, givenUp: swap },
+    ...(swap
+      ? [{ userId: reservation.userId, reservation: swap, givenUp: offered }]
+      : []),
+  ];
+  for (const owner of newOwners) {
+    const policyValidation = await evaluateUserBookingPolicy(owner.userId, {
+      startDate: owner.reservation.startDate,
+      endDate: owner.reservation.endDate,
+      shiftType: owner.reservation.shiftType,
+      spaceId: owner.reservation.spaceId,
+      excludeReservationId: owner.givenUp?.id || null,
+    });
+
+    if (!policyValidation.valid) {
+      return {
+        success: false,
+        error:
+          owner.userId === userId
+            ? policyValidation.error
+            : `The offering user cannot take the reservation in exchange: ${policyValidation.error}`,
+        rule: policyValidation.rule,
+        status: 400,
+      };
+    }
+  }
+
+  const [recipientVehicle, ownerVehicle] = await Promise.all([
+    getDefaultReservationVehicle(userId),
+    swapRef ? getDefaultReservationVehicle(reservation.userId) : null,
+  ]);
+  // Fields that go with the owner rather than the booking
+  const ownerFields = (vehicle) => ({
+    vehicle,
+    hasPdfDocument: false,
+    pdfDocument: null,
+    approval: null,
+  });
+
+  const result = await runTransaction(db, async (transaction) => {
+    const now = new Date().toISOString();
+    const currentDoc = await transaction.get(reservationRef);
+    const current = currentDoc.data();
+
+    if (
+      current.status !== "active" ||
+      current.transferOffer?.offeredAt !== offer.offeredAt
+    ) {
+      return {
+        success: false,
+        error: "Transfer offer is no longer valid",
+        status: 409,
+      };
+    }
+
+    const claims = [{ reservationId, ...current }];
+    if (swapRef) {
+      const swapDoc = await transaction.get(swapRef);
+      const swap = swapDoc.data();
+
+      if (swap.status !== "active" || swap.userId !== userId) {
+        return {
+          success: false,
+          error: "Reservation offered in exchange is no longer available",
+          status: 409,
+        };
+      }
+
+      claims.push({ reservationId: swapRef.id, ...swap });
+    }
+
+    // Both reservations must still hold their slots; claiming them also
+    // locks the slots against a concurrent update of either reservation
+    const claimed = await claimSlots(transaction, claims);
+    if (!claimed) {
+      return {
+        success: false,
+        error:
+          "Parking space is not available for the selected period and shift",
+        status: 409,
+      };
+    }
+
+    if (swapRef) {
+      transaction.update(swapRef, {
+        userId: current.userId,
+        ...ownerFields(ownerVehicle),
+        transferOffer: null,
+        transferredFrom: userId,
+        transferredAt: now,
+      });
+    }
+
+    transaction.update(reservationRef, {
+      userId,
+      ...ownerFields(recipientVehicle),
+      transferOffer: null,
+      transferredFrom: current.userId,
+      transferredAt: now,
+    });
+
+    return { success: true };
+  });
+  if (!result.success) return result;
+
+  for (const side of sides) {
+    const { id, ...before } = side;
+    await auditReservation(actor, "transfer_accept", id, before);
+  }
+
+  return result;
+}
+
+/**
+ * Get the pending offers a user has made and received
+ * @param {string} userId - User ID
+ * @returns {Promise<{incoming: Array<object>, outgoing: Array<object>}>}
+ */
+export async function getUserTransferOffers(userId) {
+  const reservationsRef = collection(db, "reservations");
+
+  const [incomingSnapshot, outgoingSnapshot] = await Promise.all([
+    getDocs(
+      query(
+        reservationsRef,
+        where("transferOffer.toUserId", "==", userId),
+        where("status", "==", "active")
+      )
+    ),
+    getDocs(
+      query(
+        reservationsRef,
+        where("userId", "==", userId),
+        where("status", "==", "active")
+      )
+    ),
+  ]);
+
+  const toReservation = (doc) => ({ id: doc.id, ...doc.data() });
+
+  return {
+    incoming: incomingSnapshot.docs.map(toReservation),
+    outgoing: outgoingSnapshot.docs
+      .map(toReservation)
+      .filter((reservation) => reservation.transferOffer),
+  };
+}
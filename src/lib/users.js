@@ -0,0 +1,137 @@
+// src/lib/users.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  updateDoc,
+} from "firebase/firestore";
+import { auditUser } from "./audit.js";
+
+// Roles an admin can give a user. Department leads approve their
+// department's reservations (see approvals.js); security staff can see
+// vehicle details (see vehicles.js).
+export const USER_ROLES = ["employee", "department_lead", "security", "admin"];
+
+// Departments a user can belong to. Booking policies and approvers are
+// matched on the department, so it always comes from this list.
+export const DEPARTMENTS = ["frontend", "backend", "mobile", "qa"];
+
+/**
+ * The account details shown to admins
+ * @param {string} userId - User ID
+ * @param {object} user - User document data
+ * @returns {object}
+ */
+function toAccount(userId, user) {
+  return {
+    uid: userId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    username: user.username,
+    email: user.email,
+    department: user.department,
+    role: user.role,
+    isActive: user.isActive !== false,
+    homeSiteId: user.homeSiteId || null,
+    createdAt: user.createdAt,
+    deletedAt: user.deletedAt || null,
+  };
+}
+
+/**
+ * List and search user accounts
+ * @param {object} filters - Optional filters
+ * @param {string} filters.search - Text in the name, username or email
+ * @param {string} filters.role - Role
+ * @param {string} filters.department - Department
+ * @param {boolean} filters.isActive - Whether the account is active
+ * @returns {Promise<Array<object>>} Accounts ordered by last name
+ */
+export async function searchUsers(filters = {}) {
+  const { search, role, department, isActive } = filters;
+  const snapshot = await getDocs(collection(db, "users"));
+  const text = search ? search.toLowerCase() : null;
+
+  return snapshot.docs
+    .map((doc) => toAccount(doc.id, doc.data()))
+    .filter(
+      (account) =>
+        (!role || account.role === role) &&
+        (!department || account.department === department) &&
+        (isActive === undefined || account.isActive === isActive) &&
+        (!text ||
+          [
+            account.firstName,
+            account.lastName,
+            account.username,
+            account.email,
+          ].some((value) => value && value.toLowerCase().includes(text)))
+    )
+    .sort((a, b) =>
+      `${a.lastName} ${a.firstName}`.localeCompare(
+        `${b.lastName} ${b.firstName}`
+      )
+    );
+}
+
+/**
+ * Change a user's role or department, or activate or deactivate their
+ * account. The caller checks the values against USER_ROLES and DEPARTMENTS;
+ * this only checks that the user exists and that admins do not demote or
+ * deactivate themselves, so there is always an admin left. Reactivating an
+ * account the user deleted keeps deletedAt, so the deletion stays on record.
+ * @param {string} userId - User ID
+ * @param {object} changes - role, department and/or isActive
+ * @param {object} actor - Admin making the change (see audit.js)
+ * @returns {Promise<{success: boolean, user?: object, error?: string, status?: number}>}
+ */
+export async function updateUserAccount(
+  userId,
+  { role, isActive, department },
+  actor
+) {
+  const userRef = doc(db, "users", userId);
+  const userDoc = await getDoc(userRef);
+  if (!userDoc.exists()) {
+    return { success: false, error: "User not found", status: 404 };
+  }
+
+  if (
+    userId === actor.actorId &&
+    ((role !== undefined && role !== "admin") || isActive === false)
+  ) {
+    return {
+      success: false,
+      error: "You cannot remove your own admin access",
+      status: 409,
+    };
+  }
+
+  const now = new Date().toISOString();
+  const updateData = { updatedAt: now };
+
+  if (role !== undefined) updateData.role = role;
+  if (department !== undefined) updateData.department = department;
+
+  if (isActive === false) {
+    updateData.isActive = false;
+    updateData.deactivatedAt = now;
+    updateData.deactivatedBy = actor.actorId;
+  } else if (isActive === true) {
+    updateData.isActive = true;
+    updateData.deactivatedAt = null;
+    updateData.deactivatedBy = null;
+    updateData.reactivatedAt = now;
+    updateData.reactivatedBy = actor.actorId;
+  }
+
+  await updateDoc(userRef, updateData);
+  await auditUser(actor, "update", userId, userDoc.data());
+
+  return {
+    success: true,
+    user: toAccount(userId, { ...userDoc.data(), ...updateData }),
+  };
+}
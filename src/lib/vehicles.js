@@ -0,0 +1,228 @@
+// src/lib/vehicles.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+} from "firebase/firestore";
+import { SYSTEM_ACTOR, auditVehicle } from "./audit.js";
+
+// Roles allowed to see which vehicle is parked where
+export const VEHICLE_VIEWER_ROLES = ["admin", "security"];
+
+/**
+ * Normalise a licence plate for storage and comparison
+ * @param {string} plate - Plate as entered
+ * @returns {string}
+ */
+export function normalizePlate(plate) {
+  return String(plate).toUpperCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Validate vehicle data. On update every field is optional.
+ * @param {object} vehicle - Vehicle data
+ * @param {boolean} partial - Whether fields may be left out
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateVehicle(vehicle, partial = false) {
+  const { plate, make, colour, isElectric } = vehicle;
+
+  if (!partial && (!plate || !make || !colour)) {
+    return {
+      valid: false,
+      error: "Missing required fields: plate, make, colour",
+    };
+  }
+
+  if (plate !== undefined && !/^[A-Z0-9]{2,10}$/.test(normalizePlate(plate))) {
+    return {
+      valid: false,
+      error: "plate must be 2 to 10 letters and digits",
+    };
+  }
+
+  if (isElectric !== undefined && typeof isElectric !== "boolean") {
+    return { valid: false, error: "isElectric must be a boolean" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Whether a user may see vehicle details of other users' reservations
+ * @param {object|null} user - The authenticated user, if any
+ * @returns {boolean}
+ */
+export function canViewVehicles(user) {
+  return !!user && VEHICLE_VIEWER_ROLES.includes(user.role);
+}
+
+/**
+ * Get a user's registered vehicles
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUserVehicles(userId) {
+  const vehiclesRef = collection(db, "vehicles");
+  const q = query(vehiclesRef, where("userId", "==", userId));
+
+  const snapshot = await getDocs(q);
+  return snapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get one of a user's vehicles
+ * @param {string} userId - User ID
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<object|null>} The vehicle, or null if it is not the user's
+ */
+export async function getUserVehicle(userId, vehicleId) {
+  const vehicleDoc = await getDoc(doc(db, "vehicles", vehicleId));
+  if (!vehicleDoc.exists() || vehicleDoc.data().userId !== userId) {
+    return null;
+  }
+
+  return { id: vehicleDoc.id, ...vehicleDoc.data() };
+}
+
+/**
+ * Check whether a plate is registered to anyone but the given vehicle
+ * @param {string} plate - Normalised plate
+ * @param {string|null} excludeVehicleId - Vehicle being updated
+ * @returns {Promise<boolean>}
+ */
+async function isPlateTaken(plate, excludeVehicleId = null) {
+  const vehiclesRef = collection(db, "vehicles");
+  const snapshot = await getDocs(
+    query(vehiclesRef, where("plate", "==", plate))
+  );
+  return snapshot.docs.some((doc) => doc.id !== excludeVehicleId);
+}
+
+/**
+ * Register a vehicle for a user
+ * @param {string} userId - User ID
+ * @param {object} vehicle - Vehicle data
+ * @param {object} actor - Who is registering it (see audit.js)
+ * @returns {Promise<{success: boolean, vehicle?: object, error?: string, status?: number}>}
+ */
+export async function addVehicle(
+  userId,
+  { plate, make, colour, isElectric },
+  actor = SYSTEM_ACTOR
+) {
+  const normalizedPlate = normalizePlate(plate);
+  if (await isPlateTaken(normalizedPlate)) {
+    return {
+      success: false,
+      error: "This plate is already registered",
+      status: 409,
+    };
+  }
+
+  const vehicleData = {
+    userId,
+    plate: normalizedPlate,
+    make,
+    colour,
+    isElectric: !!isElectric,
+    createdAt: new Date().toISOString(),
+  };
+
+  const docRef = await addDoc(collection(db, "vehicles"), vehicleData);
+  await auditVehicle(actor, "create", docRef.id, null);
+
+  return { success: true, vehicle: { id: docRef.id, ...vehicleData } };
+}
+
+/**
+ * Update one of a user's vehicles
+ * @param {string} userId - User ID
+ * @param {string} vehicleId - Vehicle ID
+ * @param {object} updates - Fields to change
+ * @param {object} actor - Who is changing it (see audit.js)
+ * @returns {Promise<{success: boolean, vehicle?: object, error?: string, status?: number}>}
+ */
+export async function updateVehicle(
+  userId,
+  vehicleId,
+  updates,
+  actor = SYSTEM_ACTOR
+) {
+  const vehicle = await getUserVehicle(userId, vehicleId);
+  if (!vehicle) {
+    return { success: false, error: "Vehicle not found", status: 404 };
+  }
+
+  const updateData = { ...updates, updatedAt: new Date().toISOString() };
+  if (updates.plate !== undefined) {
+    updateData.plate = normalizePlate(updates.plate);
+    if (await isPlateTaken(updateData.plate, vehicleId)) {
+      return {
+        success: false,
+        error: "This plate is already registered",
+        status: 409,
+      };
+    }
+  }
+
+  await updateDoc(doc(db, "vehicles", vehicleId), updateData);
+  const { id, ...before } = vehicle;
+  await auditVehicle(actor, "update", id, before);
+
+  return { success: true, vehicle: { ...vehicle, ...updateData } };
+}
+
+/**
+ * Remove one of a user's vehicles. Reservations keep the vehicle details
+ * they were booked with.
+ * @param {string} userId - User ID
+ * @param {string} vehicleId - Vehicle ID
+ * @param {object} actor - Who is removing it (see audit.js)
+ * @returns {Promise<boolean>} False if the vehicle is not the user's
+ */
+export async function removeVehicle(userId, vehicleId, actor = SYSTEM_ACTOR) {
+  const vehicle = await getUserVehicle(userId, vehicleId);
+  if (!vehicle) return false;
+
+  await deleteDoc(doc(db, "vehicles", vehicleId));
+  const { id, ...before } = vehicle;
+  await auditVehicle(actor, "delete", id, before);
+  return true;
+}
+
+/**
+ * The vehicle details stored on a reservation
+ * @param {object} vehicle - Vehicle with its document ID
+ * @returns {object}
+ */
+export function toReservationVehicle(vehicle) {
+  return {
+    id: vehicle.id,
+    plate: vehicle.plate,
+    make: vehicle.make,
+    colour: vehicle.colour,
+    isElectric: vehicle.isElectric,
+  };
+}
+
+/**
+ * The vehicle details to store on a reservation the user did not pick a
+ * vehicle for, such as one transferred to them
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} The user's only vehicle, or null if they
+ *   have none or several
+ */
+export async function getDefaultReservationVehicle(userId) {
+  const vehicles = await getUserVehicles(userId);
+  return vehicles.length === 1 ? toReservationVehicle(vehicles[0]) : null;
+}
@@ -0,0 +1,234 @@
+// src/lib/waitlist.js
+import { db } from "./firebase.js";
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+} from "firebase/firestore";
+import { checkSpaceAvailability } from "./availability.js";
+import { bookReservation } from "./booking.js";
+import { evaluateUserBookingPolicy } from "./policies.js";
+import { getPendingLotteryDates } from "./lottery.js";
+
+export const WAITLIST_STATUS = {
+  WAITING: "waiting",
+  PROMOTED: "promoted",
+  EXPIRED: "expired",
+  LEFT: "left",
+};
+
+/**
+ * Add a user to the waitlist for a space (or any space) and shift
+ * @param {string} userId - User ID
+ * @param {object} entry - Waitlist entry data
+ * @param {string|null} entry.spaceId - Space document ID, or null for any space
+ * @param {string} entry.startDate - Start date (YYYY-MM-DD)
+ * @param {string} entry.endDate - End date (YYYY-MM-DD)
+ * @param {string} entry.shiftType - Shift type
+ * @returns {Promise<object>} The created waitlist entry
+ */
+export async function joinWaitlist(
+  userId,
+  { spaceId, startDate, endDate, shiftType }
+) {
+  const entryData = {
+    userId,
+    spaceId: spaceId || null,
+    startDate,
+    endDate,
+    shiftType,
+    status: WAITLIST_STATUS.WAITING,
+    createdAt: new Date().toISOString(),
+  };
+
+  const docRef = await addDoc(collection(db, "waitlist"), entryData);
+
+  return {
+    id: docRef.id,
+    ...entryData,
+  };
+}
+
+/**
+ * Get the waiting entries of a user, with their position in the queue
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>}
+ */
+export async function getUserWaitlistEntries(userId) {
+  const entries = await getWaitingEntries();
+
+  return entries
+    .map((entry, index) => ({ ...entry, position: index + 1 }))
+    .filter((entry) => entry.userId === userId);
+}
+
+/**
+ * Remove a user's entry from the waitlist
+ * @param {string} userId - User ID
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Promise<{success: boolean, error?: string, status?: number}>}
+ */
+export async function leaveWaitlist(userId, entryId) {
+  const entryDoc = await getDoc(doc(db, "waitlist", entryId));
+  if (!entryDoc.exists()) {
+    return { success: false, error: "Waitlist entry not found", status: 404 };
+  }
+
+  const entry = entryDoc.data();
+
+  if (entry.userId !== userId) {
+    return { success: false, error: "Unauthorized", status: 403 };
+  }
+
+  if (entry.status !== WAITLIST_STATUS.WAITING) {
+    return {
+      success: false,
+      error: `Waitlist entry is already ${entry.status}`,
+      status: 409,
+    };
+  }
+
+  await updateDoc(doc(db, "waitlist", entryId), {
+    status: WAITLIST_STATUS.LEFT,
+    leftAt: new Date().toISOString(),
+  });
+
+  return { success: true };
+}
+
+/**
+ * Get all waiting entries in queue order, expiring those whose dates passed
+ * @returns {Promise<Array<object>>}
+ */
+async function getWaitingEntries() {
+  const waitlistRef = collection(db, "waitlist");
+  const q = query(
+    waitlistRef,
+    where("status", "==", WAITLIST_STATUS.WAITING),
+    orderBy("createdAt", "asc")
+  );
+
+  const snapshot = await getDocs(q);
+  const entries = snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+  const today = new Date().toISOString().split("T")[0];
+  const waiting = [];
+
+  for (const entry of entries) {
+    // An entry can no longer be fulfilled once its first day has passed
+    if (entry.startDate < today) {
+      await updateDoc(doc(db, "waitlist", entry.id), {
+        status: WAITLIST_STATUS.EXPIRED,
+        expiredAt: new Date().toISOString(),
+      });
+      continue;
+    }
+
+    waiting.push(entry);
+  }
+
+  return waiting;
+}
+
+/**
+ * Turn waitlist entries into reservations after a space has been freed.
+ * Entries are processed in queue order and each one is re-checked against
+ * current availability, so earlier entries always win.
+ * @param {string} spaceId - The freed space document ID
+ * @param {string} startDate - First freed date (YYYY-MM-DD)
+ * @param {string} endDate - Last freed date (YYYY-MM-DD)
+ * @returns {Promise<Array<{entryId: string, reservationId: string, userId: string}>>}
+ */
+export async function promoteWaitlist(spaceId, startDate, endDate) {
+  const promoted = [];
+
+  try {
+    const entries = await getWaitingEntries();
+
+    for (const entry of entries) {
+      if (entry.spaceId && entry.spaceId !== spaceId) continue;
+
+      // Only entries touching the freed period can have become eligible
+      const overlapsFreedPeriod =
+        entry.startDate <= endDate && entry.endDate >= startDate;
+      if (!overlapsFreedPeriod) continue;
+
+      const isAvailable = await checkSpaceAvailability(
+        spaceId,
+        entry.startDate,
+        entry.endDate,
+        entry.shiftType
+      );
+      if (!isAvailable) continue;
+
+      // Dates awaiting a lottery draw are only given out by the draw
+      const lotteryDates = await getPendingLotteryDates(
+        entry.startDate,
+        entry.endDate
+      );
+      if (lotteryDates.length > 0) continue;
+
+      // The policy may have changed, or the user booked elsewhere, since
+      // they joined; the entry keeps waiting with the rule it breaks
+      const policyValidation = await evaluateUserBookingPolicy(entry.userId, {
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        shiftType: entry.shiftType,
+        spaceId,
+      });
+      if (!policyValidation.valid) {
+        await updateDoc(doc(db, "waitlist", entry.id), {
+          policyViolation: {
+            rule: policyValidation.rule || null,
+            error: policyValidation.error,
+            checkedAt: new Date().toISOString(),
+          },
+        });
+        continue;
+      }
+
+      const reservationData = {
+        userId: entry.userId,
+        spaceId,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        shiftType: entry.shiftType,
+        status: "active",
+        createdAt: new Date().toISOString(),
+        hasPdfDocument: false,
+        pdfDocument: null,
+        waitlistEntryId: entry.id,
+      };
+
+      // Another booking may have taken the slot in the meantime
+      const booking = await bookReservation(reservationData);
+      if (!booking.success) continue;
+
+      await updateDoc(doc(db, "waitlist", entry.id), {
+        status: WAITLIST_STATUS.PROMOTED,
+        promotedAt: new Date().toISOString(),
+        reservationId: booking.id,
+      });
+
+      promoted.push({
+        entryId: entry.id,
+        reservationId: booking.id,
+        userId: entry.userId,
+      });
+    }
+  } catch (error) {
+    // A failed promotion must not fail the cancellation that triggered it
+    console.error("Waitlist promotion error:", error);
+  }
+
+  return promoted;
+}
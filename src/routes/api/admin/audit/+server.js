@@ -0,0 +1,60 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { getAuditLog } from "$lib/audit.js";
+import { isDateString } from "$lib/parking.js";
+
+export async function GET({ url, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    // Optional filters, e.g. ?userId=...&startDate=2024-05-01&limit=50
+    const limit = Number(url.searchParams.get("limit") || 100);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return json(
+        { success: false, error: "limit must be between 1 and 1000" },
+        { status: 400 }
+      );
+    }
+
+    const startDate = url.searchParams.get("startDate");
+    const endDate = url.searchParams.get("endDate");
+    if (
+      (startDate && !isDateString(startDate)) ||
+      (endDate && !isDateString(endDate))
+    ) {
+      return json(
+        { success: false, error: "Dates must be in YYYY-MM-DD format" },
+        { status: 400 }
+      );
+    }
+
+    const entries = await getAuditLog({
+      userId: url.searchParams.get("userId"),
+      reservationId: url.searchParams.get("reservationId"),
+      startDate,
+      endDate,
+      limit,
+    });
+
+    return json({
+      success: true,
+      entries,
+    });
+  } catch (error) {
+    console.error("Audit log fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch audit log",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,100 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  getCalendarEntries,
+  getClosedWeekdays,
+  createCalendarEntry,
+  validateCalendarEntry,
+} from "$lib/calendar.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+
+export async function GET({ request, url }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const [entries, closedWeekdays] = await Promise.all([
+      getCalendarEntries(
+        url.searchParams.get("startDate"),
+        url.searchParams.get("endDate"),
+        false
+      ),
+      getClosedWeekdays(),
+    ]);
+
+    return json({
+      success: true,
+      entries,
+      closedWeekdays,
+    });
+  } catch (error) {
+    console.error("Calendar fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch calendar entries",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { date, type, name, spaceId } = await request.json();
+
+    const validation = validateCalendarEntry({ date, type, name });
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    // Without a spaceId the entry closes every space
+    const result = await createCalendarEntry({
+      date,
+      type,
+      name,
+      spaceId: spaceDocId,
+    });
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Calendar entry created successfully",
+        entry: result.entry,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Calendar entry creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create calendar entry",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { deleteCalendarEntry } from "$lib/calendar.js";
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { entryId } = params;
+
+    const deleted = await deleteCalendarEntry(entryId);
+    if (!deleted) {
+      return json(
+        { success: false, error: "Calendar entry not found" },
+        { status: 404 }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Calendar entry deleted successfully",
+    });
+  } catch (error) {
+    console.error("Calendar entry deletion error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to delete calendar entry",
+      },
+      { status: 500 }
+    );
+  }
+}
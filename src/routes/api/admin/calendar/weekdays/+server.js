@@ -0,0 +1,74 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  getClosedWeekdays,
+  setClosedWeekdays,
+  validateClosedWeekdays,
+} from "$lib/calendar.js";
+
+export async function GET({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const closedWeekdays = await getClosedWeekdays();
+
+    return json({
+      success: true,
+      closedWeekdays,
+    });
+  } catch (error) {
+    console.error("Closed weekdays fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch closed weekdays",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    // e.g. { "closedWeekdays": [0, 6] } closes every Saturday and Sunday
+    const { closedWeekdays } = await request.json();
+
+    const validation = validateClosedWeekdays(closedWeekdays);
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const stored = await setClosedWeekdays(closedWeekdays);
+
+    return json({
+      success: true,
+      message: "Closed weekdays updated successfully",
+      closedWeekdays: stored,
+    });
+  } catch (error) {
+    console.error("Closed weekdays update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update closed weekdays",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,51 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  getLocations,
+  createLocation,
+  validateLocation,
+} from "$lib/locations.js";
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { type, name, parentId } = await request.json();
+
+    // Sites are top-level; lots belong to a site and floors to a lot
+    const validation = validateLocation(
+      { type, name, parentId },
+      await getLocations()
+    );
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const location = await createLocation({ type, name, parentId });
+
+    return json(
+      {
+        success: true,
+        message: "Location created successfully",
+        location,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Location creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create location",
+      },
+      { status: 500 }
+    );
+  }
+}
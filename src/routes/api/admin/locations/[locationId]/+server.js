@@ -0,0 +1,86 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { renameLocation, deleteLocation } from "$lib/locations.js";
+
+export async function PUT({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { locationId } = params;
+    const { name } = await request.json();
+
+    if (!name) {
+      return json(
+        { success: false, error: "Missing required field: name" },
+        { status: 400 }
+      );
+    }
+
+    const location = await renameLocation(locationId, name);
+    if (!location) {
+      return json(
+        { success: false, error: "Location not found" },
+        { status: 404 }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Location updated successfully",
+      location,
+    });
+  } catch (error) {
+    console.error("Location update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update location",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { locationId } = params;
+
+    const result = await deleteLocation(locationId);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Location deleted successfully",
+    });
+  } catch (error) {
+    console.error("Location deletion error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to delete location",
+      },
+      { status: 500 }
+    );
+  }
+}
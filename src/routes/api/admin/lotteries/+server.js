@@ -0,0 +1,126 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { createLottery, getLotteries } from "$lib/lottery.js";
+import { toDateString } from "$lib/parking.js";
+
+export async function GET({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const lotteries = await getLotteries();
+
+    return json({
+      success: true,
+      lotteries,
+    });
+  } catch (error) {
+    console.error("Lotteries fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch lotteries",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { date, opensAt, closesAt } = await request.json();
+
+    if (!date || !opensAt || !closesAt) {
+      return json(
+        {
+          success: false,
+          error: "Missing required fields: date, opensAt, closesAt",
+        },
+        { status: 400 }
+      );
+    }
+
+    const opens = new Date(opensAt);
+    const closes = new Date(closesAt);
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+      isNaN(new Date(date).getTime()) ||
+      isNaN(opens.getTime()) ||
+      isNaN(closes.getTime())
+    ) {
+      return json(
+        { success: false, error: "Invalid date format" },
+        { status: 400 }
+      );
+    }
+
+    if (date < toDateString(new Date())) {
+      return json(
+        { success: false, error: "Lottery date cannot be in the past" },
+        { status: 400 }
+      );
+    }
+
+    if (closes <= opens) {
+      return json(
+        { success: false, error: "closesAt must be after opensAt" },
+        { status: 400 }
+      );
+    }
+
+    if (closes > new Date(`${date}T00:00:00`)) {
+      return json(
+        {
+          success: false,
+          error: "The request window must close before the lottery date",
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await createLottery({
+      date,
+      opensAt: opens.toISOString(),
+      closesAt: closes.toISOString(),
+    });
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Lottery created successfully",
+        lottery: result.lottery,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Lottery creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create lottery",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { drawLottery } from "$lib/lottery.js";
+
+export async function POST({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { lotteryId } = params;
+
+    const result = await drawLottery(lotteryId);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Lottery drawn successfully",
+      winners: result.winners,
+      losers: result.losers,
+    });
+  } catch (error) {
+    console.error("Lottery draw error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to draw lottery",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+import { json } from "@sveltejs/kit";
+import { requireScheduler } from "$lib/auth-middleware.js";
+import { drawDueLotteries } from "$lib/lottery.js";
+
+// Called periodically by a scheduler (see requireScheduler); lotteries are
+// only drawn here or by an admin, not as a side effect of listing them
+export async function POST({ request }) {
+  try {
+    const authResult = await requireScheduler(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const drawn = await drawDueLotteries();
+
+    return json({
+      success: true,
+      message: `Drew ${drawn.length} lottery(s)`,
+      drawn,
+    });
+  } catch (error) {
+    console.error("Lottery draw error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to draw lotteries",
+      },
+      { status: 500 }
+    );
+  }
+}
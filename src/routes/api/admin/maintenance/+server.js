@@ -0,0 +1,103 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  getMaintenanceWindows,
+  scheduleMaintenance,
+  validateMaintenanceWindow,
+} from "$lib/maintenance.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+
+export async function GET({ request, url }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const spaceId = url.searchParams.get("spaceId");
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    const windows = await getMaintenanceWindows(spaceDocId);
+
+    return json({
+      success: true,
+      windows,
+    });
+  } catch (error) {
+    console.error("Maintenance fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch maintenance windows",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { spaceId, startDate, endDate, reason } = await request.json();
+
+    if (!spaceId) {
+      return json(
+        { success: false, error: "Missing required field: spaceId" },
+        { status: 400 }
+      );
+    }
+
+    const validation = validateMaintenanceWindow({
+      startDate,
+      endDate,
+      reason,
+    });
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    // Overlapping reservations are moved to another space or cancelled
+    const result = await scheduleMaintenance(
+      { spaceId: await resolveSpaceId(spaceId), startDate, endDate, reason },
+      authResult.user.uid,
+      { actorId: authResult.user.uid, request }
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Maintenance window scheduled successfully",
+        window: result.window,
+        displaced: result.displaced,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Maintenance scheduling error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to schedule maintenance window",
+      },
+      { status: 500 }
+    );
+  }
+}
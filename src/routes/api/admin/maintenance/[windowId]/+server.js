@@ -0,0 +1,41 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { cancelMaintenance } from "$lib/maintenance.js";
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { windowId } = params;
+
+    // Displaced reservations are not moved back
+    const result = await cancelMaintenance(windowId);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Maintenance window cancelled successfully",
+    });
+  } catch (error) {
+    console.error("Maintenance cancellation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to cancel maintenance window",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  getPolicies,
+  createPolicy,
+  validatePolicyRules,
+} from "$lib/policies.js";
+import { DEPARTMENTS } from "$lib/users.js";
+
+export async function GET({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const policies = await getPolicies();
+
+    return json({
+      success: true,
+      policies,
+    });
+  } catch (error) {
+    console.error("Policies fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch booking policies",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { name, role, department, rules } = await request.json();
+
+    if (!name) {
+      return json(
+        { success: false, error: "Missing required field: name" },
+        { status: 400 }
+      );
+    }
+
+    if (department && !DEPARTMENTS.includes(department)) {
+      return json(
+        {
+          success: false,
+          error: `department must be one of: ${DEPARTMENTS.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const validation = validatePolicyRules(rules);
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const policy = await createPolicy({ name, role, department, rules });
+
+    return json(
+      {
+        success: true,
+        message: "Booking policy created successfully",
+        policy,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Policy creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create booking policy",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,127 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  updatePolicy,
+  deletePolicy,
+  validatePolicyRules,
+} from "$lib/policies.js";
+import { DEPARTMENTS } from "$lib/users.js";
+
+export async function PUT({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { policyId } = params;
+    const updateData = await request.json();
+
+    // Define allowed fields for update
+    const allowedFields = ["name", "role", "department", "rules"];
+    const filteredData = {};
+
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        filteredData[field] = updateData[field];
+      }
+    }
+
+    if (Object.keys(filteredData).length === 0) {
+      return json(
+        {
+          success: false,
+          error: "No valid fields provided for update",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (
+      filteredData.department &&
+      !DEPARTMENTS.includes(filteredData.department)
+    ) {
+      return json(
+        {
+          success: false,
+          error: `department must be one of: ${DEPARTMENTS.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    if (filteredData.rules !== undefined) {
+      const validation = validatePolicyRules(filteredData.rules);
+      if (!validation.valid) {
+        return json(
+          { success: false, error: validation.error },
+          { status: 400 }
+        );
+      }
+    }
+
+    const policy = await updatePolicy(policyId, filteredData);
+    if (!policy) {
+      return json(
+        { success: false, error: "Booking policy not found" },
+        { status: 404 }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Booking policy updated successfully",
+      policy,
+    });
+  } catch (error) {
+    console.error("Policy update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update booking policy",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { policyId } = params;
+
+    const deleted = await deletePolicy(policyId);
+    if (!deleted) {
+      return json(
+        { success: false, error: "Booking policy not found" },
+        { status: 404 }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Booking policy deleted successfully",
+    });
+  } catch (error) {
+    console.error("Policy deletion error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to delete booking policy",
+      },
+      { status: 500 }
+    );
+  }
+}
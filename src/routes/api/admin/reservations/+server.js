@@ -0,0 +1,44 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { getAllReservations } from "$lib/admin-reservations.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+
+export async function GET({ url, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    // Optional filters, e.g. ?startDate=...&endDate=...&department=Sales
+    const spaceId = url.searchParams.get("spaceId");
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    const reservations = await getAllReservations({
+      startDate: url.searchParams.get("startDate"),
+      endDate: url.searchParams.get("endDate"),
+      spaceId: spaceDocId,
+      userId: url.searchParams.get("userId"),
+      department: url.searchParams.get("department"),
+      status: url.searchParams.get("status"),
+    });
+
+    return json({
+      success: true,
+      reservations,
+    });
+  } catch (error) {
+    console.error("Admin reservations fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch reservations",
+      },
+      { status: 500 }
+    );
+  }
+}
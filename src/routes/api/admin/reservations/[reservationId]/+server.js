@@ -0,0 +1,168 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  adminCancelReservation,
+  adminUpdateReservation,
+} from "$lib/admin-reservations.js";
+import { validateShift } from "$lib/shifts.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+import { db } from "$lib/firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+
+export async function PUT({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { reservationId } = params;
+    const {
+      startDate,
+      endDate,
+      shiftType: requestedShiftType,
+      spaceId,
+      reason,
+    } = await request.json();
+
+    if (!reason) {
+      return json(
+        { success: false, error: "Missing required field: reason" },
+        { status: 400 }
+      );
+    }
+
+    if (!startDate && !endDate && !requestedShiftType && !spaceId) {
+      return json(
+        {
+          success: false,
+          error: "No valid fields provided for update",
+        },
+        { status: 400 }
+      );
+    }
+
+    const reservationDoc = await getDoc(doc(db, "reservations", reservationId));
+    if (!reservationDoc.exists()) {
+      return json(
+        { success: false, error: "Reservation not found" },
+        { status: 404 }
+      );
+    }
+
+    const reservation = reservationDoc.data();
+    const changes = {
+      ...(startDate && { startDate }),
+      ...(endDate && { endDate }),
+    };
+
+    if (requestedShiftType) {
+      const shiftValidation = await validateShift(
+        requestedShiftType,
+        startDate || reservation.startDate,
+        endDate || reservation.endDate
+      );
+      if (!shiftValidation.valid) {
+        return json(
+          { success: false, error: shiftValidation.error },
+          { status: 400 }
+        );
+      }
+      changes.shiftType = shiftValidation.shift.label;
+    }
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    if (spaceId) {
+      const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceDocId));
+      if (!spaceDoc.exists()) {
+        return json(
+          { success: false, error: "Parking space not found" },
+          { status: 404 }
+        );
+      }
+      changes.spaceId = spaceDocId;
+    }
+
+    const result = await adminUpdateReservation(
+      reservationId,
+      changes,
+      { actorId: authResult.user.uid, request },
+      reason
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Reservation updated successfully",
+      reservation: result.reservation,
+    });
+  } catch (error) {
+    console.error("Admin reservation update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update reservation",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { reason } = await request.json();
+
+    if (!reason) {
+      return json(
+        { success: false, error: "Missing required field: reason" },
+        { status: 400 }
+      );
+    }
+
+    const result = await adminCancelReservation(
+      params.reservationId,
+      { actorId: authResult.user.uid, request },
+      reason
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Reservation cancelled successfully",
+      promotedFromWaitlist: result.promotedFromWaitlist,
+    });
+  } catch (error) {
+    console.error("Admin reservation cancellation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to cancel reservation",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { json } from "@sveltejs/kit";
+import { requireScheduler } from "$lib/auth-middleware.js";
+import { SYSTEM_ACTOR } from "$lib/audit.js";
+import { materializeDueSeries } from "$lib/recurring.js";
+
+// Called periodically by a scheduler (see requireScheduler), so series keep
+// booking their occurrences whether or not their owner looks at them
+export async function POST({ request }) {
+  try {
+    const authResult = await requireScheduler(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    // The scheduler acts as the system
+    const series = await materializeDueSeries({
+      actorId: authResult.user?.uid || SYSTEM_ACTOR.actorId,
+      request,
+    });
+
+    return json({
+      success: true,
+      message: `Materialized ${series.length} recurring series`,
+      series,
+    });
+  } catch (error) {
+    console.error("Series materialization error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to materialize recurring series",
+      },
+      { status: 500 }
+    );
+  }
+}
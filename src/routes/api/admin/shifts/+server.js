@@ -0,0 +1,103 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  getShifts,
+  createShift,
+  validateShiftDefinition,
+} from "$lib/shifts.js";
+
+export async function GET({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const shifts = await getShifts(true);
+
+    return json({
+      success: true,
+      shifts,
+    });
+  } catch (error) {
+    console.error("Shifts fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch shifts",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { shiftId, name, startTime, endTime, daysOfWeek } =
+      await request.json();
+
+    if (!shiftId || !/^[A-Z0-9_]+$/.test(shiftId)) {
+      return json(
+        {
+          success: false,
+          error: "shiftId is required and may only contain A-Z, 0-9 and _",
+        },
+        { status: 400 }
+      );
+    }
+
+    const validation = validateShiftDefinition({
+      name,
+      startTime,
+      endTime,
+      daysOfWeek,
+    });
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const result = await createShift(shiftId, {
+      name,
+      startTime,
+      endTime,
+      daysOfWeek,
+    });
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Shift created successfully",
+        shift: result.shift,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Shift creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create shift",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,106 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { updateShift } from "$lib/shifts.js";
+
+export async function PUT({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { shiftId } = params;
+    const updateData = await request.json();
+
+    // Define allowed fields for update
+    const allowedFields = [
+      "name",
+      "startTime",
+      "endTime",
+      "daysOfWeek",
+      "isActive",
+    ];
+    const filteredData = {};
+
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        filteredData[field] = updateData[field];
+      }
+    }
+
+    if (Object.keys(filteredData).length === 0) {
+      return json(
+        {
+          success: false,
+          error: "No valid fields provided for update",
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await updateShift(shiftId, filteredData);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Shift updated successfully",
+      shift: result.shift,
+    });
+  } catch (error) {
+    console.error("Shift update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update shift",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { shiftId } = params;
+
+    // Deactivate instead of deleting so existing reservations stay readable
+    const result = await updateShift(shiftId, { isActive: false });
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Shift deactivated successfully",
+    });
+  } catch (error) {
+    console.error("Shift deactivation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to deactivate shift",
+      },
+      { status: 500 }
+    );
+  }
+}
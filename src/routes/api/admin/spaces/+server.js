@@ -0,0 +1,75 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  createSpace,
+  validateSpace,
+  validateSpaceAttributes,
+} from "$lib/spaces.js";
+import { getLocations, getLocationPath } from "$lib/locations.js";
+
+export async function POST({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { spaceNumber, label, attributes, locationId } = await request.json();
+
+    const validation = validateSpace({ spaceNumber, label });
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    if (attributes !== undefined) {
+      const attributeValidation = validateSpaceAttributes(attributes);
+      if (!attributeValidation.valid) {
+        return json(
+          { success: false, error: attributeValidation.error },
+          { status: 400 }
+        );
+      }
+    }
+
+    let path = null;
+    if (locationId) {
+      path = getLocationPath(locationId, await getLocations());
+      if (!path) {
+        return json(
+          { success: false, error: "Location not found" },
+          { status: 400 }
+        );
+      }
+    }
+
+    const result = await createSpace({ spaceNumber, label, attributes, path });
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Parking space created successfully",
+        space: result.space,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Space creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create parking space",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,192 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import {
+  updateSpace,
+  validateSpace,
+  validateSpaceAttributes,
+} from "$lib/spaces.js";
+import { getLocations, getLocationPath } from "$lib/locations.js";
+import {
+  deleteSpace,
+  getUpcomingSpaceReservations,
+  setSpaceActive,
+} from "$lib/maintenance.js";
+
+export async function PUT({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { spaceId } = params;
+    const { attributes, locationId, spaceNumber, label, isActive, reassign } =
+      await request.json();
+
+    if (
+      attributes === undefined &&
+      locationId === undefined &&
+      spaceNumber === undefined &&
+      label === undefined &&
+      isActive === undefined
+    ) {
+      return json(
+        {
+          success: false,
+          error: "No valid fields provided for update",
+        },
+        { status: 400 }
+      );
+    }
+
+    const validation = validateSpace({ spaceNumber, label }, true);
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return json(
+        { success: false, error: "isActive must be a boolean" },
+        { status: 400 }
+      );
+    }
+
+    if (attributes !== undefined) {
+      const validation = validateSpaceAttributes(attributes);
+      if (!validation.valid) {
+        return json(
+          { success: false, error: validation.error },
+          { status: 400 }
+        );
+      }
+    }
+
+    // A space can sit on a floor, or directly in a lot or site
+    let path;
+    if (locationId !== undefined) {
+      path = getLocationPath(locationId, await getLocations());
+      if (!path) {
+        return json(
+          { success: false, error: "Location not found" },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Refuse a deactivation before anything is written, so the request
+    // either applies fully or not at all
+    if (isActive === false && !reassign) {
+      const upcoming = await getUpcomingSpaceReservations(spaceId);
+      if (upcoming.length > 0) {
+        return json(
+          {
+            success: false,
+            error:
+              "Parking space has upcoming reservations; set reassign to move them",
+            reservations: upcoming.map((reservation) => reservation.id),
+          },
+          { status: 409 }
+        );
+      }
+    }
+
+    let space;
+
+    if (
+      spaceNumber !== undefined ||
+      label !== undefined ||
+      attributes !== undefined ||
+      path !== undefined
+    ) {
+      const result = await updateSpace(spaceId, {
+        spaceNumber,
+        label,
+        attributes,
+        path,
+      });
+      if (!result.success) {
+        return json(
+          { success: false, error: result.error },
+          { status: result.status }
+        );
+      }
+      space = result.space;
+    }
+
+    // Deactivating last, so reservations move to spaces like the updated one
+    let displaced;
+    if (isActive !== undefined) {
+      const result = await setSpaceActive(spaceId, isActive, !!reassign, {
+        actorId: authResult.user.uid,
+        request,
+      });
+      if (!result.success) {
+        return json(
+          {
+            success: false,
+            error: result.error,
+            ...(result.reservations && { reservations: result.reservations }),
+          },
+          { status: result.status }
+        );
+      }
+      space = result.space;
+      displaced = result.displaced;
+    }
+
+    return json({
+      success: true,
+      message: "Parking space updated successfully",
+      space,
+      ...(displaced && { displaced }),
+    });
+  } catch (error) {
+    console.error("Space update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update parking space",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const result = await deleteSpace(params.spaceId);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Parking space deleted successfully",
+    });
+  } catch (error) {
+    console.error("Space deletion error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to delete parking space",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { searchUsers } from "$lib/users.js";
+
+export async function GET({ url, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    // Optional filters, e.g. ?search=smith&role=employee&isActive=false
+    const isActive = url.searchParams.get("isActive");
+    if (isActive !== null && isActive !== "true" && isActive !== "false") {
+      return json(
+        { success: false, error: "isActive must be true or false" },
+        { status: 400 }
+      );
+    }
+
+    const users = await searchUsers({
+      search: url.searchParams.get("search"),
+      role: url.searchParams.get("role"),
+      department: url.searchParams.get("department"),
+      isActive: isActive === null ? undefined : isActive === "true",
+    });
+
+    return json({
+      success: true,
+      users,
+    });
+  } catch (error) {
+    console.error("Users fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch users",
+      },
+      { status: 500 }
+    );
+  }
+}
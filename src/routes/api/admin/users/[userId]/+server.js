@@ -0,0 +1,86 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin } from "$lib/auth-middleware.js";
+import { DEPARTMENTS, USER_ROLES, updateUserAccount } from "$lib/users.js";
+
+export async function PUT({ params, request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { role, isActive, department } = await request.json();
+
+    if (
+      role === undefined &&
+      isActive === undefined &&
+      department === undefined
+    ) {
+      return json(
+        {
+          success: false,
+          error: "No valid fields provided for update",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return json(
+        {
+          success: false,
+          error: `role must be one of: ${USER_ROLES.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return json(
+        { success: false, error: "isActive must be a boolean" },
+        { status: 400 }
+      );
+    }
+
+    if (department !== undefined && !DEPARTMENTS.includes(department)) {
+      return json(
+        {
+          success: false,
+          error: `department must be one of: ${DEPARTMENTS.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await updateUserAccount(
+      params.userId,
+      { role, isActive, department },
+      { actorId: authResult.user.uid, request }
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "User updated successfully",
+      user: result.user,
+    });
+  } catch (error) {
+    console.error("User update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update user",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,7 @@
 import { json } from "@sveltejs/kit";
 import { registerUser } from "$lib/auth.js";
+import { auditUser } from "$lib/audit.js";
+import { DEPARTMENTS } from "$lib/users.js";
 
 export async function POST({ request }) {
   try {
@@ -26,14 +28,13 @@ export async function POST({ request }) {
       );
     }
 
-    const allowedDepartments = ["frontend", "backend", "mobile", "qa"];
-
-    if (!allowedDepartments.includes(department)) {
+    if (!DEPARTMENTS.includes(department)) {
       return json(
         {
           success: false,
-          error:
-            "Invalid department. Must be one of: frontend, backend, mobile, qa",
+          error: `Invalid department. Must be one of: ${DEPARTMENTS.join(
+            ", "
+          )}`,
         },
         { status: 400 }
       );
@@ -95,6 +96,12 @@ export async function POST({ request }) {
     const result = await registerUser(userData);
 
     if (result.success) {
+      await auditUser(
+        { actorId: result.user.uid, request },
+        "create",
+        result.user.uid,
+        null
+      );
       return json(result, { status: 201 });
     } else {
       return json(result, { status: 400 });
@@ -0,0 +1,39 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getApprovalQueue, isApprover } from "$lib/approvals.js";
+
+export async function GET({ request }) {
+  try {
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    if (!isApprover(authResult.user)) {
+      return json(
+        { success: false, error: "Approver access required" },
+        { status: 403 }
+      );
+    }
+
+    const reservations = await getApprovalQueue(authResult.user);
+
+    return json({
+      success: true,
+      reservations,
+    });
+  } catch (error) {
+    console.error("Approval queue fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch approval queue",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,67 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { decideReservation } from "$lib/approvals.js";
+
+export async function POST({ params, request }) {
+  try {
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { decision, comment } = await request.json();
+
+    if (decision !== "approve" && decision !== "reject") {
+      return json(
+        { success: false, error: "decision must be approve or reject" },
+        { status: 400 }
+      );
+    }
+
+    if (decision === "reject" && !comment) {
+      return json(
+        { success: false, error: "A comment is required when rejecting" },
+        { status: 400 }
+      );
+    }
+
+    const result = await decideReservation(
+      params.reservationId,
+      authResult.user,
+      decision === "approve",
+      comment,
+      { actorId: authResult.user.uid, request }
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message:
+        decision === "approve"
+          ? "Reservation approved successfully"
+          : "Reservation rejected successfully",
+      status: result.reservationStatus,
+      ...(result.promotedFromWaitlist !== undefined && {
+        promotedFromWaitlist: result.promotedFromWaitlist,
+      }),
+    });
+  } catch (error) {
+    console.error("Approval decision error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to record approval decision",
+      },
+      { status: 500 }
+    );
+  }
+}
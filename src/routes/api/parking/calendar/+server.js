@@ -0,0 +1,58 @@
+import { json } from "@sveltejs/kit";
+import { getClosedDates } from "$lib/calendar.js";
+import { MAX_RANGE_DAYS, countDays, isDateString } from "$lib/parking.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+
+export async function GET({ url }) {
+  try {
+    const startDate = url.searchParams.get("startDate");
+    const endDate = url.searchParams.get("endDate");
+    const spaceId = url.searchParams.get("spaceId");
+
+    if (!isDateString(startDate) || !isDateString(endDate)) {
+      return json(
+        {
+          success: false,
+          error:
+            "startDate and endDate parameters are required in YYYY-MM-DD format",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (endDate < startDate) {
+      return json(
+        { success: false, error: "End date must be after start date" },
+        { status: 400 }
+      );
+    }
+
+    if (countDays(startDate, endDate) > MAX_RANGE_DAYS) {
+      return json(
+        {
+          success: false,
+          error: `The range cannot be longer than ${MAX_RANGE_DAYS} days`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    const closedDates = await getClosedDates(startDate, endDate, spaceDocId);
+
+    return json({
+      success: true,
+      closedDates,
+    });
+  } catch (error) {
+    console.error("Calendar fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch calendar",
+      },
+      { status: 500 }
+    );
+  }
+}
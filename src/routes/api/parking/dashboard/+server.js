@@ -1,45 +1,96 @@
 import { json } from "@sveltejs/kit";
 import { db } from "$lib/firebase.js";
-import { collection, getDocs, query, where } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
+import { countDays, isDateString } from "$lib/parking.js";
+import {
+  SLOT_STATUSES,
+  getShiftStatus,
+  getSlot,
+  loadOccupancy,
+} from "$lib/availability.js";
+import { MAX_GRID_DAYS, getOccupancyGrid } from "$lib/dashboard.js";
+import { getClosure } from "$lib/calendar.js";
+import { getShifts } from "$lib/shifts.js";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { canViewVehicles } from "$lib/vehicles.js";
 
-export async function GET({ url }) {
+export async function GET({ request, url }) {
   try {
-    const date =
-      url.searchParams.get("date") || new Date().toISOString().split("T")[0];
+    const today = new Date().toISOString().split("T")[0];
+    const date = url.searchParams.get("date") || today;
+    const locationId = url.searchParams.get("locationId");
+    const from = url.searchParams.get("from");
+    const to = url.searchParams.get("to");
 
-    // Get all parking spaces
-    const spacesRef = collection(db, "parkingSpaces");
-    const spacesSnapshot = await getDocs(spacesRef);
-    const spaces = spacesSnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    // Range mode, e.g. ?from=2024-05-06&to=2024-05-12: occupancy per space,
+    // day and shift instead of the reservations of a single day
+    if (from || to) {
+      if (!isDateString(from) || !isDateString(to)) {
+        return json(
+          {
+            success: false,
+            error: "from and to are both required in YYYY-MM-DD format",
+          },
+          { status: 400 }
+        );
+      }
+
+      if (to < from) {
+        return json(
+          { success: false, error: "to must not be before from" },
+          { status: 400 }
+        );
+      }
+
+      // Counted, not listed, so a far-away date is rejected cheaply
+      if (countDays(from, to) > MAX_GRID_DAYS) {
+        return json(
+          {
+            success: false,
+            error: `The range cannot be longer than ${MAX_GRID_DAYS} days`,
+          },
+          { status: 400 }
+        );
+      }
 
-    // Get all active reservations
-    const reservationsRef = collection(db, "reservations");
-    const reservationsQuery = query(
-      reservationsRef,
-      where("status", "==", "active")
+      const grid = await getOccupancyGrid(from, to, locationId);
+
+      return json({
+        success: true,
+        from,
+        to,
+        ...grid,
+      });
+    }
+
+    if (!isDateString(date)) {
+      return json(
+        { success: false, error: "Date must be in YYYY-MM-DD format" },
+        { status: 400 }
+      );
+    }
+
+    // The dashboard is public; plates are only shown to authorised roles
+    const authResult = await authenticateRequest(request);
+    const showVehicles = canViewVehicles(
+      authResult.success ? authResult.user : null
     );
-    const reservationsSnapshot = await getDocs(reservationsQuery);
-    const reservations = reservationsSnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
 
-    // Filter reservations for the selected date
-    const targetDate = new Date(date);
-    const dateReservations = reservations.filter((reservation) => {
-      const startDate = new Date(reservation.startDate);
-      const endDate = new Date(reservation.endDate);
-      return startDate <= targetDate && endDate >= targetDate;
-    });
+    const [occupancy, shifts] = await Promise.all([
+      loadOccupancy(date, date, { filters: { locationId } }),
+      getShifts(),
+    ]);
 
     // Build dashboard data
     const dashboard = await Promise.all(
-      spaces.map(async (space) => {
-        const spaceReservations = dateReservations.filter(
-          (r) => r.spaceId === space.id
+      occupancy.spaces.map(async (space) => {
+        // Reservations holding a shift, including those awaiting approval
+        const slot = getSlot(occupancy, space, date);
+        const spaceReservations = slot.reservations.map(
+          ({ vehicle, ...reservation }) =>
+            showVehicles
+              ? { ...reservation, vehicle: vehicle || null }
+              : reservation
         );
 
         const reservationsWithUsers = await Promise.all(
@@ -60,6 +111,15 @@ export async function GET({ url }) {
                       department: userData.department,
                     }
                   : null,
+                // Guest bookings are made by the host, who is the user above
+                ...(reservation.guest && {
+                  guest: {
+                    ...reservation.guest,
+                    label: userData
+                      ? `Guest of ${userData.firstName} ${userData.lastName}`
+                      : "Guest",
+                  },
+                }),
               };
             } catch (error) {
               return {
@@ -70,18 +130,23 @@ export async function GET({ url }) {
           })
         );
 
+        // Keyed by shift ID, for the shifts admins have defined
+        const shiftStatuses = Object.fromEntries(
+          shifts.map((shift) => [shift.id, getShiftStatus(slot, shift)])
+        );
+
         return {
           ...space,
           reservations: reservationsWithUsers,
-          isAvailable: {
-            morning: !reservationsWithUsers.some(
-              (r) => r.shiftType === "MORNING" || r.shiftType === "FULL_DAY"
-            ),
-            afternoon: !reservationsWithUsers.some(
-              (r) => r.shiftType === "AFTERNOON" || r.shiftType === "FULL_DAY"
-            ),
-            fullDay: reservationsWithUsers.length === 0,
-          },
+          closed: slot.closed,
+          maintenance: slot.maintenance,
+          shifts: shiftStatuses,
+          isAvailable: Object.fromEntries(
+            Object.entries(shiftStatuses).map(([shiftId, { status }]) => [
+              shiftId,
+              status === SLOT_STATUSES.FREE,
+            ])
+          ),
         };
       })
     );
@@ -89,6 +154,7 @@ export async function GET({ url }) {
     return json({
       success: true,
       date,
+      closed: getClosure(date, occupancy.calendarEntries),
       spaces: dashboard.sort((a, b) => a.spaceNumber - b.spaceNumber),
     });
   } catch (error) {
@@ -0,0 +1,21 @@
+import { json } from "@sveltejs/kit";
+import { getLocations } from "$lib/locations.js";
+
+export async function GET() {
+  try {
+    const locations = await getLocations();
+
+    return json({
+      success: true,
+      locations,
+    });
+  } catch (error) {
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch locations",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getLotteries, getUserLotteryRequests } from "$lib/lottery.js";
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+
+    const [lotteries, requests] = await Promise.all([
+      getLotteries(true),
+      getUserLotteryRequests(userId),
+    ]);
+
+    return json({
+      success: true,
+      lotteries,
+      requests,
+    });
+  } catch (error) {
+    console.error("Lotteries fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch lotteries",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,129 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { validateShift } from "$lib/shifts.js";
+import { evaluateBookingPolicy } from "$lib/policies.js";
+import { submitLotteryRequest, withdrawLotteryRequest } from "$lib/lottery.js";
+
+export async function POST({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { lotteryId } = params;
+    const { shiftType } = await request.json();
+
+    if (!shiftType) {
+      return json(
+        { success: false, error: "Missing required field: shiftType" },
+        { status: 400 }
+      );
+    }
+
+    // The lottery ID is the date it allocates
+    const shiftValidation = await validateShift(
+      shiftType,
+      lotteryId,
+      lotteryId
+    );
+    if (!shiftValidation.valid) {
+      return json(
+        { success: false, error: shiftValidation.error },
+        { status: 400 }
+      );
+    }
+
+    const policyValidation = await evaluateBookingPolicy(authResult.user, {
+      startDate: lotteryId,
+      endDate: lotteryId,
+      shift: shiftValidation.shift,
+      hasDocument: false,
+    });
+    if (!policyValidation.valid) {
+      return json(
+        {
+          success: false,
+          error: policyValidation.error,
+          rule: policyValidation.rule,
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await submitLotteryRequest(
+      lotteryId,
+      userId,
+      shiftValidation.shift.label
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Lottery request submitted successfully",
+        request: result.request,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Lottery request error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to submit lottery request",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { lotteryId } = params;
+
+    const result = await withdrawLotteryRequest(lotteryId, userId);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Lottery request withdrawn successfully",
+    });
+  } catch (error) {
+    console.error("Lottery request withdrawal error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to withdraw lottery request",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { json } from "@sveltejs/kit";
+import { requireAdmin, requireScheduler } from "$lib/auth-middleware.js";
+import { SYSTEM_ACTOR } from "$lib/audit.js";
+import { releaseNoShows, getNoShowReport } from "$lib/checkin.js";
+
+// Called periodically by a scheduler (see requireScheduler), which releases
+// no-shows automatically; they are not released as a side effect of reading
+// the dashboard
+export async function POST({ request }) {
+  try {
+    const authResult = await requireScheduler(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    // The scheduler acts as the system
+    const noShows = await releaseNoShows({
+      actorId: authResult.user?.uid || SYSTEM_ACTOR.actorId,
+      request,
+    });
+
+    return json({
+      success: true,
+      message: `Released ${noShows.length} no-show reservation(s)`,
+      noShows,
+    });
+  } catch (error) {
+    console.error("No-show release error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to release no-show reservations",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET({ request }) {
+  try {
+    const authResult = await requireAdmin(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const users = await getNoShowReport();
+
+    return json({
+      success: true,
+      users,
+    });
+  } catch (error) {
+    console.error("No-show report error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch no-show report",
+      },
+      { status: 500 }
+    );
+  }
+}
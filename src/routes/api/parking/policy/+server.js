@@ -0,0 +1,33 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getApplicablePolicy } from "$lib/policies.js";
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const policy = await getApplicablePolicy(authResult.user);
+
+    return json({
+      success: true,
+      policy,
+    });
+  } catch (error) {
+    console.error("Policy fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch booking policy",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getApplicablePolicy } from "$lib/policies.js";
+import { getQuotaSummary } from "$lib/quotas.js";
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { rules } = await getApplicablePolicy(authResult.user);
+    const quota = await getQuotaSummary(userId, rules);
+
+    return json({
+      success: true,
+      quota,
+    });
+  } catch (error) {
+    console.error("Quota fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch quota",
+      },
+      { status: 500 }
+    );
+  }
+}
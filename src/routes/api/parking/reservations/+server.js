@@ -1,11 +1,22 @@
 // src/routes/api/parking/reservations/+server.js - Updated with PDF upload
 import { json } from "@sveltejs/kit";
 import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getUserReservations } from "$lib/parking.js";
 import {
-  validateReservationPeriod,
   checkSpaceAvailability,
-  getUserReservations,
-} from "$lib/parking.js";
+  findAvailableSpace,
+} from "$lib/availability.js";
+import { bookReservation, deleteReservation } from "$lib/booking.js";
+import { recordAudit } from "$lib/audit.js";
+import { validateShift } from "$lib/shifts.js";
+import { parseAttributeFilters, resolveSpaceId } from "$lib/spaces.js";
+import {
+  getUserVehicle,
+  getUserVehicles,
+  toReservationVehicle,
+} from "$lib/vehicles.js";
+import { evaluateBookingPolicy, isDocumentRequired } from "$lib/policies.js";
+import { getPendingLotteryDates } from "$lib/lottery.js";
 import {
   uploadPDFToGoogleDrive,
   validatePDFFile,
@@ -16,7 +27,7 @@ import {
   validateUploadedPDF,
 } from "$lib/file-upload.js";
 import { db } from "$lib/firebase.js";
-import { collection, addDoc, doc, getDoc } from "firebase/firestore";
+import { doc, getDoc, updateDoc } from "firebase/firestore";
 
 export async function POST({ request }) {
   try {
@@ -97,121 +108,196 @@ export async function POST({ request }) {
       }
     }
 
-    const { spaceId, startDate, endDate, shiftType } = requestData;
+    const {
+      spaceId,
+      startDate,
+      endDate,
+      shiftType: requestedShiftType,
+      vehicleId,
+    } = requestData;
 
-    // Validate required fields
-    if (!spaceId || !startDate || !endDate || !shiftType) {
+    // Validate required fields (without spaceId a free space is assigned)
+    if (!startDate || !endDate || !requestedShiftType) {
       return json(
         {
           success: false,
-          error:
-            "Missing required fields: spaceId, startDate, endDate, shiftType",
+          error: "Missing required fields: startDate, endDate, shiftType",
         },
         { status: 400 }
       );
     }
 
-    // Validate space ID
-    if (spaceId < 1 || spaceId > 20) {
+    // The vehicle the space is for; a single registered vehicle is the default
+    let vehicle = null;
+    if (vehicleId) {
+      vehicle = await getUserVehicle(userId, vehicleId);
+      if (!vehicle) {
+        return json(
+          { success: false, error: "Vehicle not found" },
+          { status: 400 }
+        );
+      }
+    } else {
+      const vehicles = await getUserVehicles(userId);
+      if (vehicles.length === 1) vehicle = vehicles[0];
+    }
+
+    // Attributes the auto-assigned space must have, e.g. evCharging
+    const filterResult = parseAttributeFilters(requestData);
+    if (!filterResult.valid) {
       return json(
-        {
-          success: false,
-          error: "Space ID must be between 1 and 20",
-        },
+        { success: false, error: filterResult.error },
         { status: 400 }
       );
     }
 
     // Validate shift type
-    const validShiftTypes = ["8:00-14:00", "14:00-21:00", "9:30-18:30"];
-    if (!validShiftTypes.includes(shiftType)) {
+    const shiftValidation = await validateShift(
+      requestedShiftType,
+      startDate,
+      endDate
+    );
+    if (!shiftValidation.valid) {
       return json(
         {
           success: false,
-          error:
-            "Invalid shift type. Must be one of: " + validShiftTypes.join(", "),
+          error: shiftValidation.error,
         },
         { status: 400 }
       );
     }
 
-    // Validate reservation period
-    const periodValidation = validateReservationPeriod(startDate, endDate);
-    if (!periodValidation.valid) {
+    const shiftType = shiftValidation.shift.label;
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    // Validate the booking against the user's policy
+    const policyValidation = await evaluateBookingPolicy(authResult.user, {
+      startDate,
+      endDate,
+      shift: shiftValidation.shift,
+      hasDocument: !!pdfFile,
+      spaceId: spaceDocId,
+    });
+    if (!policyValidation.valid) {
       return json(
         {
           success: false,
-          error: periodValidation.error,
+          error: policyValidation.error,
+          rule: policyValidation.rule,
         },
         { status: 400 }
       );
     }
 
-    // Check if reservation is for more than 2 days and requires document
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-
-    if (daysDiff > 2 && !pdfFile) {
+    // Dates awaiting a lottery draw cannot be booked directly
+    const lotteryDates = await getPendingLotteryDates(startDate, endDate);
+    if (lotteryDates.length > 0) {
       return json(
         {
           success: false,
           error:
-            "PDF schedule document is required for reservations longer than 2 days",
+            "Parking on these dates is allocated by lottery: " +
+            lotteryDates.join(", "),
         },
-        { status: 400 }
+        { status: 409 }
       );
     }
 
-    // Verify space exists
-    const spaceDoc = await getDoc(doc(db, "parkingSpaces", `space-${spaceId}`));
-    if (!spaceDoc.exists()) {
-      return json(
-        {
-          success: false,
-          error: "Parking space not found",
-        },
-        { status: 404 }
+    let assignedSpaceId;
+
+    if (spaceId) {
+      // Verify space exists
+      const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceDocId));
+      if (!spaceDoc.exists()) {
+        return json(
+          {
+            success: false,
+            error: "Parking space not found",
+          },
+          { status: 404 }
+        );
+      }
+
+      // Check space availability
+      const isAvailable = await checkSpaceAvailability(
+        spaceDocId,
+        startDate,
+        endDate,
+        shiftType
       );
-    }
 
-    // Check space availability
-    const isAvailable = await checkSpaceAvailability(
-      `space-${spaceId}`,
-      startDate,
-      endDate,
-      shiftType
-    );
+      if (!isAvailable) {
+        return json(
+          {
+            success: false,
+            error:
+              "Parking space is not available for the selected period and shift",
+            canJoinWaitlist: true,
+          },
+          { status: 409 }
+        );
+      }
 
-    if (!isAvailable) {
-      return json(
+      assignedSpaceId = spaceDocId;
+    } else {
+      // Let the server pick a free space, at the user's home site unless
+      // another location is requested
+      const space = await findAvailableSpace(
+        userId,
+        startDate,
+        endDate,
+        shiftType,
         {
-          success: false,
-          error:
-            "Parking space is not available for the selected period and shift",
-        },
-        { status: 409 }
+          ...filterResult.filters,
+          locationId:
+            requestData.locationId || authResult.user.homeSiteId || null,
+        }
       );
+
+      if (!space) {
+        return json(
+          {
+            success: false,
+            error:
+              "No parking space is available for the selected period and shift",
+            canJoinWaitlist: true,
+          },
+          { status: 409 }
+        );
+      }
+
+      assignedSpaceId = space.id;
     }
 
     // Create reservation first to get the ID
     const reservationData = {
       userId,
-      spaceId: `space-${spaceId}`,
+      spaceId: assignedSpaceId,
       startDate,
       endDate,
       shiftType,
-      status: "active",
+      vehicle: vehicle && toReservationVehicle(vehicle),
+      // Long bookings hold their space until an approver has seen the document
+      status: isDocumentRequired(startDate, endDate, policyValidation.rules)
+        ? "pending_approval"
+        : "active",
       createdAt: new Date().toISOString(),
       hasPdfDocument: !!pdfFile,
       pdfDocument: null, // Will be updated after upload
     };
 
-    const docRef = await addDoc(
-      collection(db, "reservations"),
-      reservationData
-    );
-    const reservationId = docRef.id;
+    // The slots are claimed in the same transaction, so only one of two
+    // concurrent bookings for the same slot can succeed
+    const actor = { actorId: userId, request };
+    const booking = await bookReservation(reservationData, actor);
+    if (!booking.success) {
+      return json(
+        { success: false, error: booking.error, canJoinWaitlist: true },
+        { status: booking.status }
+      );
+    }
+    const reservationId = booking.id;
 
     // Upload PDF if provided
     let pdfUploadResult = null;
@@ -225,7 +311,7 @@ export async function POST({ request }) {
 
       if (!pdfUploadResult.success) {
         // If PDF upload fails, delete the reservation
-        await deleteDoc(doc(db, "reservations", reservationId));
+        await deleteReservation(reservationId, actor);
         return json(
           {
             success: false,
@@ -236,13 +322,19 @@ export async function POST({ request }) {
       }
 
       // Update reservation with PDF information
-      await updateDoc(doc(db, "reservations", reservationId), {
-        pdfDocument: {
-          fileId: pdfUploadResult.fileId,
-          fileName: pdfUploadResult.fileName,
-          fileSize: pdfUploadResult.fileSize,
-          uploadedAt: pdfUploadResult.createdTime,
-        },
+      const pdfDocument = {
+        fileId: pdfUploadResult.fileId,
+        fileName: pdfUploadResult.fileName,
+        fileSize: pdfUploadResult.fileSize,
+        uploadedAt: pdfUploadResult.createdTime,
+      };
+      await updateDoc(doc(db, "reservations", reservationId), { pdfDocument });
+      await recordAudit(actor, {
+        action: "document_upload",
+        targetType: "reservation",
+        targetId: reservationId,
+        before: reservationData,
+        after: { ...reservationData, pdfDocument },
       });
     }
 
@@ -262,7 +354,10 @@ export async function POST({ request }) {
     return json(
       {
         success: true,
-        message: "Reservation created successfully",
+        message:
+          reservationData.status === "pending_approval"
+            ? "Reservation submitted for approval"
+            : "Reservation created successfully",
         reservation: finalReservationData,
         ...(pdfUploadResult && {
           pdfUpload: {
@@ -1,22 +1,35 @@
 import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
 import { db } from "$lib/firebase.js";
-import { doc, getDoc, updateDoc, deleteDoc } from "firebase/firestore";
-import {
-  checkSpaceAvailability,
-  validateReservationPeriod,
-} from "$lib/parking.js";
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+import { checkSpaceAvailability } from "$lib/availability.js";
+import { closeReservation, updateReservationBooking } from "$lib/booking.js";
+import { recordAudit } from "$lib/audit.js";
+import { promoteWaitlist } from "$lib/waitlist.js";
+import { validateShift, resolveShift } from "$lib/shifts.js";
+import { evaluateBookingPolicy, isDocumentRequired } from "$lib/policies.js";
+import { PENDING_APPROVAL } from "$lib/approvals.js";
+import { getPendingLotteryDates } from "$lib/lottery.js";
 
 export async function PUT({ params, request }) {
   try {
-    const authHeader = request.headers.get("authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return json({ success: false, error: "Unauthorized" }, { status: 401 });
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
     }
 
-    const userId = authHeader.split(" ")[1];
+    const { uid: userId } = authResult.user;
     const { reservationId } = params;
-    const { startDate, endDate, shiftType, scheduleDocument } =
-      await request.json();
+    const {
+      startDate,
+      endDate,
+      shiftType: requestedShiftType,
+      scheduleDocument,
+    } = await request.json();
 
     // Get existing reservation
     const reservationDoc = await getDoc(doc(db, "reservations", reservationId));
@@ -34,24 +47,101 @@ export async function PUT({ params, request }) {
       return json({ success: false, error: "Unauthorized" }, { status: 403 });
     }
 
-    // Validate new period if dates are being changed
-    if (startDate && endDate) {
-      const periodValidation = validateReservationPeriod(startDate, endDate);
-      if (!periodValidation.valid) {
+    // Validate the shift against the resulting period
+    let shiftType;
+    let shift;
+    if (requestedShiftType) {
+      const shiftValidation = await validateShift(
+        requestedShiftType,
+        startDate || reservation.startDate,
+        endDate || reservation.endDate
+      );
+      if (!shiftValidation.valid) {
         return json(
           {
             success: false,
-            error: periodValidation.error,
+            error: shiftValidation.error,
           },
           { status: 400 }
         );
       }
 
+      shift = shiftValidation.shift;
+      shiftType = shift.label;
+    }
+
+    // Validate the changed booking against the owner's policy
+    const newStartDate = startDate || reservation.startDate;
+    const newEndDate = endDate || reservation.endDate;
+    let needsApproval = false;
+    if (startDate || endDate || shiftType) {
+      const userDoc = await getDoc(doc(db, "users", reservation.userId));
+      let currentShift = shift || (await resolveShift(reservation.shiftType));
+      if (!currentShift) {
+        // The shift was deactivated after the booking was made
+        currentShift = {
+          id: null,
+          name: reservation.shiftType,
+          label: reservation.shiftType,
+        };
+      }
+
+      const policyValidation = await evaluateBookingPolicy(
+        { uid: reservation.userId, ...userDoc.data() },
+        {
+          startDate: newStartDate,
+          endDate: newEndDate,
+          shift: currentShift,
+          hasDocument: !!reservation.hasPdfDocument,
+          spaceId: reservation.spaceId,
+          excludeReservationId: reservationId,
+        }
+      );
+      if (!policyValidation.valid) {
+        return json(
+          {
+            success: false,
+            error: policyValidation.error,
+            rule: policyValidation.rule,
+          },
+          { status: 400 }
+        );
+      }
+
+      // The document was approved for the booked period only; days added
+      // outside it go back to an approver when the policy asks for one
+      needsApproval =
+        isDocumentRequired(newStartDate, newEndDate, policyValidation.rules) &&
+        (newStartDate < reservation.startDate ||
+          newEndDate > reservation.endDate);
+    }
+
+    // Check availability if dates are being changed
+    if (startDate || endDate) {
+      // Dates awaiting a lottery draw cannot be booked directly; days the
+      // reservation already held before the lottery was set up are kept
+      const lotteryDates = (
+        await getPendingLotteryDates(newStartDate, newEndDate)
+      ).filter(
+        (date) => date < reservation.startDate || date > reservation.endDate
+      );
+      if (lotteryDates.length > 0) {
+        return json(
+          {
+            success: false,
+            error:
+              "Parking on these dates is allocated by lottery: " +
+              lotteryDates.join(", "),
+          },
+          { status: 409 }
+        );
+      }
+
       // Check availability with current reservation excluded
       const isAvailable = await checkSpaceAvailability(
         reservation.spaceId,
-        startDate,
-        endDate,
+        newStartDate,
+        newEndDate,
         shiftType || reservation.shiftType,
         reservationId
       );
@@ -74,14 +164,43 @@ export async function PUT({ params, request }) {
       ...(endDate && { endDate }),
       ...(shiftType && { shiftType }),
       ...(scheduleDocument !== undefined && { scheduleDocument }),
+      ...(needsApproval && { status: PENDING_APPROVAL, approval: null }),
       updatedAt: new Date().toISOString(),
     };
 
-    await updateDoc(doc(db, "reservations", reservationId), updateData);
+    if (startDate || endDate || shiftType) {
+      // Move the slots in the same transaction, so a concurrent booking
+      // of the new period loses cleanly
+      const result = await updateReservationBooking(reservationId, updateData, {
+        actorId: userId,
+        request,
+      });
+      if (!result.success) {
+        return json(
+          { success: false, error: result.error },
+          { status: result.status }
+        );
+      }
+    } else {
+      await updateDoc(doc(db, "reservations", reservationId), updateData);
+      await recordAudit(
+        { actorId: userId, request },
+        {
+          action: "update",
+          targetType: "reservation",
+          targetId: reservationId,
+          before: reservation,
+          after: { ...reservation, ...updateData },
+        }
+      );
+    }
 
     return json({
       success: true,
-      message: "Reservation updated successfully",
+      message: needsApproval
+        ? "Reservation updated and sent for approval"
+        : "Reservation updated successfully",
+      status: needsApproval ? PENDING_APPROVAL : reservation.status,
     });
   } catch (error) {
     return json(
@@ -96,12 +215,16 @@ export async function PUT({ params, request }) {
 
 export async function DELETE({ params, request }) {
   try {
-    const authHeader = request.headers.get("authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return json({ success: false, error: "Unauthorized" }, { status: 401 });
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
     }
 
-    const userId = authHeader.split(" ")[1];
+    const { uid: userId } = authResult.user;
     const { reservationId } = params;
 
     // Get existing reservation
@@ -121,14 +244,32 @@ export async function DELETE({ params, request }) {
     }
 
     // Mark as cancelled instead of deleting
-    await updateDoc(doc(db, "reservations", reservationId), {
-      status: "cancelled",
-      cancelledAt: new Date().toISOString(),
-    });
+    const closed = await closeReservation(
+      reservationId,
+      {
+        status: "cancelled",
+        cancelledAt: new Date().toISOString(),
+      },
+      { actorId: userId, request }
+    );
+    if (!closed.success) {
+      return json(
+        { success: false, error: closed.error },
+        { status: closed.status }
+      );
+    }
+
+    // Hand the freed slot to the first eligible waitlisted users
+    const promoted = await promoteWaitlist(
+      reservation.spaceId,
+      reservation.startDate,
+      reservation.endDate
+    );
 
     return json({
       success: true,
       message: "Reservation cancelled successfully",
+      promotedFromWaitlist: promoted.length,
     });
   } catch (error) {
     return json(
@@ -0,0 +1,54 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { checkInReservation } from "$lib/checkin.js";
+import { auditReservation } from "$lib/audit.js";
+
+export async function POST({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { reservationId } = params;
+
+    // Check-in is only possible for the current day
+    const today = new Date().toISOString().split("T")[0];
+
+    const result = await checkInReservation(reservationId, userId, today);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    await auditReservation(
+      { actorId: userId, request },
+      "check_in",
+      reservationId,
+      result.reservation
+    );
+
+    return json({
+      success: true,
+      message: "Checked in successfully",
+      date: today,
+    });
+  } catch (error) {
+    console.error("Check-in error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to check in",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -5,6 +5,8 @@ import {
   downloadPDFFromGoogleDrive,
   getFileMetadata,
 } from "$lib/google-drive-storage.js";
+import { canApprove } from "$lib/approvals.js";
+import { auditReservation } from "$lib/audit.js";
 import { db } from "$lib/firebase.js";
 import { doc, getDoc } from "firebase/firestore";
 
@@ -34,9 +36,16 @@ export async function GET({ params, request }) {
 
     const reservation = reservationDoc.data();
 
-    // Check if user owns this reservation
+    // Owners and their approvers may read the document
     if (reservation.userId !== userId) {
-      return json({ success: false, error: "Unauthorized" }, { status: 403 });
+      const ownerDoc = await getDoc(doc(db, "users", reservation.userId));
+      const owner = {
+        uid: reservation.userId,
+        ...(ownerDoc.exists() ? ownerDoc.data() : {}),
+      };
+      if (!canApprove(authResult.user, owner)) {
+        return json({ success: false, error: "Unauthorized" }, { status: 403 });
+      }
     }
 
     // Check if reservation has a PDF document
@@ -136,6 +145,12 @@ export async function DELETE({ params, request }) {
       hasPdfDocument: false,
       documentDeletedAt: new Date().toISOString(),
     });
+    await auditReservation(
+      { actorId: userId, request },
+      "document_delete",
+      reservationId,
+      reservation
+    );
 
     return json({
       success: true,
@@ -1,15 +1,23 @@
 import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
 import { db } from "$lib/firebase.js";
-import { doc, getDoc, updateDoc } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
+import { promoteWaitlist } from "$lib/waitlist.js";
+import { closeReservation, releaseReservationDays } from "$lib/booking.js";
+import { isDateString } from "$lib/parking.js";
 
 export async function POST({ params, request }) {
   try {
-    const authHeader = request.headers.get("authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return json({ success: false, error: "Unauthorized" }, { status: 401 });
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
     }
 
-    const userId = authHeader.split(" ")[1];
+    const { uid: userId } = authResult.user;
     const { reservationId } = params;
 
     // Get existing reservation
@@ -28,19 +36,129 @@ export async function POST({ params, request }) {
       return json({ success: false, error: "Unauthorized" }, { status: 403 });
     }
 
-    // Release from current date to end of reservation period
+    if (reservation.status !== "active") {
+      return json(
+        { success: false, error: "Reservation is not active" },
+        { status: 409 }
+      );
+    }
+
     const today = new Date().toISOString().split("T")[0];
 
+    // A single date or a date range releases only those days
+    const body = await request.text();
+    let releaseRequest = {};
+    try {
+      releaseRequest = body ? JSON.parse(body) : {};
+    } catch (error) {
+      return json(
+        { success: false, error: "Request body must be valid JSON" },
+        { status: 400 }
+      );
+    }
+    const { date, startDate, endDate } = releaseRequest || {};
+
+    if (date || startDate || endDate) {
+      const releaseStart = date || startDate;
+      const releaseEnd = date || endDate;
+
+      if (!isDateString(releaseStart) || !isDateString(releaseEnd)) {
+        return json(
+          {
+            success: false,
+            error: "Provide either date or both startDate and endDate",
+          },
+          { status: 400 }
+        );
+      }
+
+      if (releaseEnd < releaseStart) {
+        return json(
+          { success: false, error: "End date must be after start date" },
+          { status: 400 }
+        );
+      }
+
+      if (releaseStart < today) {
+        return json(
+          { success: false, error: "Cannot release past dates" },
+          { status: 400 }
+        );
+      }
+
+      if (
+        releaseStart < reservation.startDate ||
+        releaseEnd > reservation.endDate
+      ) {
+        return json(
+          {
+            success: false,
+            error: "Released days must fall within the reservation period",
+          },
+          { status: 400 }
+        );
+      }
+
+      const result = await releaseReservationDays(
+        reservationId,
+        reservation,
+        releaseStart,
+        releaseEnd,
+        { actorId: userId, request }
+      );
+      if (!result.success) {
+        return json(
+          { success: false, error: result.error },
+          { status: result.status }
+        );
+      }
+
+      // Hand the released days to the first eligible waitlisted users
+      const promoted = await promoteWaitlist(
+        reservation.spaceId,
+        releaseStart,
+        releaseEnd
+      );
+
+      return json({
+        success: true,
+        message: "Parking days released successfully",
+        released: result.released,
+        remaining: result.remaining,
+        promotedFromWaitlist: promoted.length,
+      });
+    }
+
+    // Release from current date to end of reservation period
+
     // Update end date to today (effectively releasing the remaining period)
-    await updateDoc(doc(db, "reservations", reservationId), {
-      endDate: today,
-      releasedAt: new Date().toISOString(),
-      status: "released",
-    });
+    const closed = await closeReservation(
+      reservationId,
+      {
+        endDate: today,
+        releasedAt: new Date().toISOString(),
+        status: "released",
+      },
+      { actorId: userId, request }
+    );
+    if (!closed.success) {
+      return json(
+        { success: false, error: closed.error },
+        { status: closed.status }
+      );
+    }
+
+    // Hand the released period to the first eligible waitlisted users
+    const promoted = await promoteWaitlist(
+      reservation.spaceId,
+      reservation.startDate > today ? reservation.startDate : today,
+      reservation.endDate
+    );
 
     return json({
       success: true,
       message: "Parking space released successfully",
+      promotedFromWaitlist: promoted.length,
     });
   } catch (error) {
     return json(
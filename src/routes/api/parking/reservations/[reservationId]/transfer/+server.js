@@ -0,0 +1,263 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import {
+  findUserByUsername,
+  offerTransfer,
+  acceptTransfer,
+  declineTransfer,
+  withdrawTransfer,
+} from "$lib/transfers.js";
+import { db } from "$lib/firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+
+/**
+ * Load a reservation for a transfer action
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<{reservation?: object, response?: Response}>}
+ */
+async function loadReservation(reservationId) {
+  const reservationDoc = await getDoc(doc(db, "reservations", reservationId));
+  if (!reservationDoc.exists()) {
+    return {
+      response: json(
+        { success: false, error: "Reservation not found" },
+        { status: 404 }
+      ),
+    };
+  }
+
+  return { reservation: reservationDoc.data() };
+}
+
+// Offer the reservation to a colleague, optionally as a swap
+export async function POST({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { reservationId } = params;
+    const { recipient, swapReservationId } = await request.json();
+
+    if (!recipient) {
+      return json(
+        { success: false, error: "Missing required field: recipient" },
+        { status: 400 }
+      );
+    }
+
+    const { reservation, response } = await loadReservation(reservationId);
+    if (response) return response;
+
+    // Check if user owns this reservation
+    if (reservation.userId !== userId) {
+      return json({ success: false, error: "Unauthorized" }, { status: 403 });
+    }
+
+    if (reservation.status !== "active") {
+      return json(
+        { success: false, error: "Reservation is not active" },
+        { status: 409 }
+      );
+    }
+
+    if (reservation.transferOffer) {
+      return json(
+        { success: false, error: "Reservation already has a pending offer" },
+        { status: 409 }
+      );
+    }
+
+    const recipientUser = await findUserByUsername(recipient);
+    if (!recipientUser) {
+      return json(
+        { success: false, error: "Recipient not found" },
+        { status: 404 }
+      );
+    }
+
+    if (recipientUser.uid === userId) {
+      return json(
+        { success: false, error: "Cannot transfer a reservation to yourself" },
+        { status: 400 }
+      );
+    }
+
+    if (swapReservationId) {
+      const swap = await loadReservation(swapReservationId);
+      if (swap.response) return swap.response;
+
+      if (
+        swap.reservation.userId !== recipientUser.uid ||
+        swap.reservation.status !== "active"
+      ) {
+        return json(
+          {
+            success: false,
+            error:
+              "Swap reservation must be an active reservation of the recipient",
+          },
+          { status: 400 }
+        );
+      }
+    }
+
+    const transferOffer = await offerTransfer(
+      reservationId,
+      recipientUser.uid,
+      swapReservationId || null,
+      { actorId: userId, request }
+    );
+
+    return json(
+      {
+        success: true,
+        message: "Transfer offered successfully",
+        transferOffer,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Transfer offer error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to offer reservation",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Accept or decline an offer as the recipient
+export async function PUT({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { reservationId } = params;
+    const { action } = await request.json();
+
+    if (action !== "accept" && action !== "decline") {
+      return json(
+        { success: false, error: "Action must be one of: accept, decline" },
+        { status: 400 }
+      );
+    }
+
+    const { reservation, response } = await loadReservation(reservationId);
+    if (response) return response;
+
+    if (!reservation.transferOffer) {
+      return json(
+        { success: false, error: "No pending transfer offer" },
+        { status: 404 }
+      );
+    }
+
+    if (reservation.transferOffer.toUserId !== userId) {
+      return json({ success: false, error: "Unauthorized" }, { status: 403 });
+    }
+
+    const actor = { actorId: userId, request };
+
+    if (action === "decline") {
+      await declineTransfer(reservationId, actor);
+
+      return json({
+        success: true,
+        message: "Transfer declined",
+      });
+    }
+
+    // A swap changes the owner of the recipient's reservation as well
+    const result = await acceptTransfer(reservationId, userId, actor);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error, rule: result.rule },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message:
+        reservation.transferOffer.type === "swap"
+          ? "Reservations swapped successfully"
+          : "Reservation transferred successfully",
+    });
+  } catch (error) {
+    console.error("Transfer response error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to respond to transfer",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+// Withdraw a pending offer as the owner
+export async function DELETE({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { reservationId } = params;
+
+    const { reservation, response } = await loadReservation(reservationId);
+    if (response) return response;
+
+    // Check if user owns this reservation
+    if (reservation.userId !== userId) {
+      return json({ success: false, error: "Unauthorized" }, { status: 403 });
+    }
+
+    if (!reservation.transferOffer) {
+      return json(
+        { success: false, error: "No pending transfer offer" },
+        { status: 404 }
+      );
+    }
+
+    await withdrawTransfer(reservationId, { actorId: userId, request });
+
+    return json({
+      success: true,
+      message: "Transfer offer withdrawn",
+    });
+  } catch (error) {
+    console.error("Transfer withdrawal error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to withdraw transfer offer",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,243 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import {
+  checkSpaceAvailability,
+  findAvailableSpace,
+} from "$lib/availability.js";
+import { bookReservation } from "$lib/booking.js";
+import { validateShift } from "$lib/shifts.js";
+import { parseAttributeFilters, resolveSpaceId } from "$lib/spaces.js";
+import { normalizePlate } from "$lib/vehicles.js";
+import {
+  evaluateGuestPolicy,
+  getHostGuestReservations,
+  validateGuest,
+} from "$lib/guests.js";
+import { getPendingLotteryDates } from "$lib/lottery.js";
+import { db } from "$lib/firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+
+export async function POST({ request }) {
+  try {
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: hostId } = authResult.user;
+    const requestData = await request.json();
+    const {
+      spaceId,
+      startDate,
+      endDate,
+      shiftType: requestedShiftType,
+    } = requestData;
+
+    if (!startDate || !endDate || !requestedShiftType) {
+      return json(
+        {
+          success: false,
+          error: "Missing required fields: startDate, endDate, shiftType",
+        },
+        { status: 400 }
+      );
+    }
+
+    const guestValidation = validateGuest(requestData.guest);
+    if (!guestValidation.valid) {
+      return json(
+        { success: false, error: guestValidation.error },
+        { status: 400 }
+      );
+    }
+
+    const filterResult = parseAttributeFilters(requestData);
+    if (!filterResult.valid) {
+      return json(
+        { success: false, error: filterResult.error },
+        { status: 400 }
+      );
+    }
+
+    const shiftValidation = await validateShift(
+      requestedShiftType,
+      startDate,
+      endDate
+    );
+    if (!shiftValidation.valid) {
+      return json(
+        { success: false, error: shiftValidation.error },
+        { status: 400 }
+      );
+    }
+
+    const shiftType = shiftValidation.shift.label;
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    // Guest bookings have their own limits and do not use the host's quota
+    const policyValidation = await evaluateGuestPolicy(authResult.user, {
+      startDate,
+      endDate,
+      spaceId: spaceDocId,
+    });
+    if (!policyValidation.valid) {
+      return json(
+        {
+          success: false,
+          error: policyValidation.error,
+          rule: policyValidation.rule,
+        },
+        { status: 400 }
+      );
+    }
+
+    const lotteryDates = await getPendingLotteryDates(startDate, endDate);
+    if (lotteryDates.length > 0) {
+      return json(
+        {
+          success: false,
+          error:
+            "Parking on these dates is allocated by lottery: " +
+            lotteryDates.join(", "),
+        },
+        { status: 409 }
+      );
+    }
+
+    let assignedSpaceId;
+
+    if (spaceId) {
+      const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceDocId));
+      if (!spaceDoc.exists()) {
+        return json(
+          { success: false, error: "Parking space not found" },
+          { status: 404 }
+        );
+      }
+
+      const isAvailable = await checkSpaceAvailability(
+        spaceDocId,
+        startDate,
+        endDate,
+        shiftType
+      );
+      if (!isAvailable) {
+        return json(
+          {
+            success: false,
+            error:
+              "Parking space is not available for the selected period and shift",
+          },
+          { status: 409 }
+        );
+      }
+
+      assignedSpaceId = spaceDocId;
+    } else {
+      const space = await findAvailableSpace(
+        hostId,
+        startDate,
+        endDate,
+        shiftType,
+        {
+          ...filterResult.filters,
+          locationId:
+            requestData.locationId || authResult.user.homeSiteId || null,
+        }
+      );
+
+      if (!space) {
+        return json(
+          {
+            success: false,
+            error:
+              "No parking space is available for the selected period and shift",
+          },
+          { status: 409 }
+        );
+      }
+
+      assignedSpaceId = space.id;
+    }
+
+    // The host owns the reservation, so they are the one who can cancel it
+    const { name, company, plate } = requestData.guest;
+    const reservationData = {
+      userId: hostId,
+      hostId,
+      guest: { name, company },
+      spaceId: assignedSpaceId,
+      startDate,
+      endDate,
+      shiftType,
+      vehicle: { plate: normalizePlate(plate) },
+      status: "active",
+      createdAt: new Date().toISOString(),
+      hasPdfDocument: false,
+      pdfDocument: null,
+    };
+
+    const booking = await bookReservation(reservationData, {
+      actorId: hostId,
+      request,
+    });
+    if (!booking.success) {
+      return json(
+        { success: false, error: booking.error },
+        { status: booking.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Guest reservation created successfully",
+        reservation: { ...reservationData, id: booking.id },
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Guest reservation creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create guest reservation",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET({ request }) {
+  try {
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const reservations = await getHostGuestReservations(authResult.user.uid);
+
+    return json({
+      success: true,
+      reservations,
+    });
+  } catch (error) {
+    console.error("Guest reservations fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch guest reservations",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,125 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import {
+  RESERVATION_STATUSES,
+  HISTORY_SORT_FIELDS,
+  decodeCursor,
+  getReservationHistory,
+} from "$lib/history.js";
+import { resolveShift } from "$lib/shifts.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function GET({ url, request }) {
+  try {
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+
+    // Optional filters, e.g. ?status=released&startDate=2024-05-01&limit=50,
+    // then &cursor=<nextCursor> for the following page
+    const params = url.searchParams;
+    const status = params.get("status");
+    const startDate = params.get("startDate");
+    const endDate = params.get("endDate");
+    const spaceId = params.get("spaceId");
+    const shift = params.get("shiftType");
+    const sortBy = params.get("sortBy") || "startDate";
+    const order = params.get("order") || "desc";
+    const cursor = params.get("cursor");
+    const limit = Number(params.get("limit") || 20);
+
+    if (status && !RESERVATION_STATUSES.includes(status)) {
+      return json(
+        {
+          success: false,
+          error: `status must be one of: ${RESERVATION_STATUSES.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    if (
+      (startDate && !DATE_PATTERN.test(startDate)) ||
+      (endDate && !DATE_PATTERN.test(endDate))
+    ) {
+      return json(
+        { success: false, error: "Dates must be in YYYY-MM-DD format" },
+        { status: 400 }
+      );
+    }
+
+    if (!HISTORY_SORT_FIELDS.includes(sortBy)) {
+      return json(
+        {
+          success: false,
+          error: `sortBy must be one of: ${HISTORY_SORT_FIELDS.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    if (!["asc", "desc"].includes(order)) {
+      return json(
+        { success: false, error: "order must be asc or desc" },
+        { status: 400 }
+      );
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return json(
+        { success: false, error: "limit must be between 1 and 100" },
+        { status: 400 }
+      );
+    }
+
+    if (cursor && !decodeCursor(cursor)) {
+      return json({ success: false, error: "Invalid cursor" }, { status: 400 });
+    }
+
+    // Reservations store the shift label; accept the shift ID as well. Shifts
+    // that have since been removed are matched by their stored label.
+    let shiftType = shift;
+    if (shift) {
+      const resolved = await resolveShift(shift);
+      if (resolved) shiftType = resolved.label;
+    }
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    const history = await getReservationHistory(userId, {
+      status,
+      startDate,
+      endDate,
+      spaceId: spaceDocId,
+      shiftType,
+      sortBy,
+      order,
+      cursor,
+      limit,
+    });
+
+    return json({
+      success: true,
+      reservations: history.reservations,
+      nextCursor: history.nextCursor,
+    });
+  } catch (error) {
+    console.error("Reservation history error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch reservation history",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,205 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { resolveShift, getShifts } from "$lib/shifts.js";
+import { evaluateBookingPolicy } from "$lib/policies.js";
+import {
+  validateSeries,
+  createSeries,
+  getFirstOccurrence,
+  getUserSeries,
+} from "$lib/recurring.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+import { db } from "$lib/firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+
+export async function POST({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const {
+      spaceId,
+      startDate,
+      endDate,
+      shiftType: requestedShiftType,
+      daysOfWeek,
+    } = await request.json();
+
+    // Validate required fields
+    if (
+      !spaceId ||
+      !startDate ||
+      !endDate ||
+      !requestedShiftType ||
+      !daysOfWeek
+    ) {
+      return json(
+        {
+          success: false,
+          error:
+            "Missing required fields: spaceId, startDate, endDate, shiftType, daysOfWeek",
+        },
+        { status: 400 }
+      );
+    }
+
+    // Validate shift type
+    const shift = await resolveShift(requestedShiftType);
+    if (!shift) {
+      const shifts = await getShifts();
+      return json(
+        {
+          success: false,
+          error:
+            "Invalid shift type. Must be one of: " +
+            shifts.map((shift) => shift.label).join(", "),
+        },
+        { status: 400 }
+      );
+    }
+
+    const shiftType = shift.label;
+
+    // Validate recurrence
+    const seriesValidation = validateSeries({ startDate, endDate, daysOfWeek });
+    if (!seriesValidation.valid) {
+      return json(
+        {
+          success: false,
+          error: seriesValidation.error,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Every recurring weekday must be one the shift applies to
+    if (!daysOfWeek.every((day) => shift.daysOfWeek.includes(day))) {
+      return json(
+        {
+          success: false,
+          error: `Shift ${shift.name} is not available on all selected weekdays`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const firstOccurrence = getFirstOccurrence({
+      startDate,
+      endDate,
+      daysOfWeek,
+    });
+    if (!firstOccurrence) {
+      return json(
+        {
+          success: false,
+          error: "The period contains none of the selected weekdays",
+        },
+        { status: 400 }
+      );
+    }
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    // The first occurrence must be bookable under the user's policy
+    const policyValidation = await evaluateBookingPolicy(authResult.user, {
+      startDate: firstOccurrence,
+      endDate: firstOccurrence,
+      shift,
+      hasDocument: false,
+      spaceId: spaceDocId,
+    });
+    if (!policyValidation.valid) {
+      return json(
+        {
+          success: false,
+          error: policyValidation.error,
+          rule: policyValidation.rule,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Verify space exists
+    const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceDocId));
+    if (!spaceDoc.exists()) {
+      return json(
+        {
+          success: false,
+          error: "Parking space not found",
+        },
+        { status: 404 }
+      );
+    }
+
+    const { series, created, conflicts } = await createSeries(
+      userId,
+      {
+        spaceId: spaceDocId,
+        startDate,
+        endDate,
+        shiftType,
+        daysOfWeek,
+      },
+      { actorId: userId, request }
+    );
+
+    return json(
+      {
+        success: true,
+        message: "Recurring reservation created successfully",
+        series,
+        reservations: created,
+        conflicts,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Recurring reservation creation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to create recurring reservation",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const series = await getUserSeries(userId);
+
+    return json({
+      success: true,
+      series,
+    });
+  } catch (error) {
+    console.error("Recurring reservations fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch recurring reservations",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,58 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { cancelSeries } from "$lib/recurring.js";
+
+export async function DELETE({ params, request, url }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { seriesId } = params;
+
+    // With a date only that occurrence is cancelled, otherwise the whole series
+    const date = url.searchParams.get("date");
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return json(
+        { success: false, error: "Invalid date format" },
+        { status: 400 }
+      );
+    }
+
+    const result = await cancelSeries(userId, seriesId, date, {
+      actorId: userId,
+      request,
+    });
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: date
+        ? "Occurrence cancelled successfully"
+        : "Recurring reservation cancelled successfully",
+      cancelled: result.cancelled,
+    });
+  } catch (error) {
+    console.error("Recurring reservation cancellation error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to cancel recurring reservation",
+      },
+      { status: 500 }
+    );
+  }
+}
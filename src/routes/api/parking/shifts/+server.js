@@ -0,0 +1,21 @@
+import { json } from "@sveltejs/kit";
+import { getShifts } from "$lib/shifts.js";
+
+export async function GET() {
+  try {
+    const shifts = await getShifts();
+
+    return json({
+      success: true,
+      shifts,
+    });
+  } catch (error) {
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch shifts",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -1,20 +1,27 @@
 import { json } from "@sveltejs/kit";
-import { db } from "$lib/firebase.js";
-import { collection, getDocs } from "firebase/firestore";
+import { getSpaces, parseAttributeFilters } from "$lib/spaces.js";
 
-export async function GET() {
+export async function GET({ url }) {
   try {
-    const spacesRef = collection(db, "parkingSpaces");
-    const snapshot = await getDocs(spacesRef);
+    // Optional filters, e.g. ?evCharging=true&sizeClass=large&locationId=...
+    const filterResult = parseAttributeFilters(
+      Object.fromEntries(url.searchParams)
+    );
+    if (!filterResult.valid) {
+      return json(
+        { success: false, error: filterResult.error },
+        { status: 400 }
+      );
+    }
 
-    const spaces = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const spaces = await getSpaces({
+      ...filterResult.filters,
+      locationId: url.searchParams.get("locationId"),
+    });
 
     return json({
       success: true,
-      spaces: spaces.sort((a, b) => a.spaceNumber - b.spaceNumber),
+      spaces,
     });
   } catch (error) {
     return json(
@@ -1,7 +1,13 @@
 import { json } from "@sveltejs/kit";
-import { getSpaceReservations } from "$lib/parking.js";
+import { db } from "$lib/firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+import { getShiftStatus, getSlot, loadOccupancy } from "$lib/availability.js";
+import { getShifts } from "$lib/shifts.js";
+import { isDateString } from "$lib/parking.js";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { canViewVehicles } from "$lib/vehicles.js";
 
-export async function GET({ params, url }) {
+export async function GET({ params, request, url }) {
   try {
     const { spaceId } = params;
     const date = url.searchParams.get("date");
@@ -16,7 +22,32 @@ export async function GET({ params, url }) {
       );
     }
 
-    const reservations = await getSpaceReservations(spaceId, date);
+    if (!isDateString(date)) {
+      return json(
+        { success: false, error: "Date must be in YYYY-MM-DD format" },
+        { status: 400 }
+      );
+    }
+
+    // Plates are only shown to authorised roles
+    const authResult = await authenticateRequest(request);
+    const showVehicles = canViewVehicles(
+      authResult.success ? authResult.user : null
+    );
+
+    const [occupancy, shifts] = await Promise.all([
+      loadOccupancy(date, date, { spaceId }),
+      getShifts(),
+    ]);
+    const slot = getSlot(
+      occupancy,
+      occupancy.spaces[0] || { id: spaceId },
+      date
+    );
+
+    const reservations = slot.reservations.map(({ vehicle, ...reservation }) =>
+      showVehicles ? { ...reservation, vehicle: vehicle || null } : reservation
+    );
 
     // Get user data for each reservation
     const reservationsWithUsers = await Promise.all(
@@ -45,8 +76,17 @@ export async function GET({ params, url }) {
       })
     );
 
+    // Holidays, blackouts and weekly closures cannot be booked
     return json({
       success: true,
+      closed: slot.closed,
+      maintenance: slot.maintenance,
+      shifts: shifts.map((shift) => ({
+        id: shift.id,
+        name: shift.name,
+        label: shift.label,
+        ...getShiftStatus(slot, shift),
+      })),
       reservations: reservationsWithUsers,
     });
   } catch (error) {
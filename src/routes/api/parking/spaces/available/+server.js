@@ -0,0 +1,104 @@
+import { json } from "@sveltejs/kit";
+import { isSpaceFree, loadOccupancy } from "$lib/availability.js";
+import { MAX_RANGE_DAYS, countDays, isDateString } from "$lib/parking.js";
+import { validateShift } from "$lib/shifts.js";
+import { parseAttributeFilters } from "$lib/spaces.js";
+
+export async function GET({ url }) {
+  try {
+    const startDate = url.searchParams.get("startDate");
+    const endDate = url.searchParams.get("endDate") || startDate;
+    const requestedShiftType = url.searchParams.get("shiftType");
+
+    if (!startDate || !requestedShiftType) {
+      return json(
+        {
+          success: false,
+          error: "startDate and shiftType parameters are required",
+        },
+        { status: 400 }
+      );
+    }
+
+    if (!isDateString(startDate) || !isDateString(endDate)) {
+      return json(
+        { success: false, error: "Dates must be in YYYY-MM-DD format" },
+        { status: 400 }
+      );
+    }
+
+    if (endDate < startDate) {
+      return json(
+        { success: false, error: "End date must be after start date" },
+        { status: 400 }
+      );
+    }
+
+    if (countDays(startDate, endDate) > MAX_RANGE_DAYS) {
+      return json(
+        {
+          success: false,
+          error: `The range cannot be longer than ${MAX_RANGE_DAYS} days`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const shiftValidation = await validateShift(
+      requestedShiftType,
+      startDate,
+      endDate
+    );
+    if (!shiftValidation.valid) {
+      return json(
+        { success: false, error: shiftValidation.error },
+        { status: 400 }
+      );
+    }
+
+    // Optional attribute filters, e.g. &evCharging=true&accessible=true
+    const filterResult = parseAttributeFilters(
+      Object.fromEntries(url.searchParams)
+    );
+    if (!filterResult.valid) {
+      return json(
+        { success: false, error: filterResult.error },
+        { status: 400 }
+      );
+    }
+
+    const occupancy = await loadOccupancy(startDate, endDate, {
+      filters: {
+        ...filterResult.filters,
+        locationId: url.searchParams.get("locationId"),
+      },
+      includeClosures: false,
+    });
+
+    const available = occupancy.spaces.filter(
+      (space) =>
+        space.isActive !== false &&
+        isSpaceFree(
+          occupancy,
+          space,
+          startDate,
+          endDate,
+          shiftValidation.shift.label
+        )
+    );
+
+    return json({
+      success: true,
+      spaces: available,
+    });
+  } catch (error) {
+    console.error("Available spaces search error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to search available spaces",
+      },
+      { status: 500 }
+    );
+  }
+}
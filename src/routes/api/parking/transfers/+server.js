@@ -0,0 +1,35 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getUserTransferOffers } from "$lib/transfers.js";
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { incoming, outgoing } = await getUserTransferOffers(userId);
+
+    return json({
+      success: true,
+      incoming,
+      outgoing,
+    });
+  } catch (error) {
+    console.error("Transfer offers fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch transfer offers",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,150 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { validateShift } from "$lib/shifts.js";
+import { evaluateBookingPolicy } from "$lib/policies.js";
+import { resolveSpaceId } from "$lib/spaces.js";
+import { joinWaitlist, getUserWaitlistEntries } from "$lib/waitlist.js";
+import { db } from "$lib/firebase.js";
+import { doc, getDoc } from "firebase/firestore";
+
+export async function POST({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const {
+      spaceId,
+      startDate,
+      endDate,
+      shiftType: requestedShiftType,
+    } = await request.json();
+
+    // Validate required fields (spaceId is optional: omitted means any space)
+    if (!startDate || !endDate || !requestedShiftType) {
+      return json(
+        {
+          success: false,
+          error: "Missing required fields: startDate, endDate, shiftType",
+        },
+        { status: 400 }
+      );
+    }
+
+    const spaceDocId = spaceId ? await resolveSpaceId(spaceId) : null;
+
+    // Validate space ID
+    if (spaceId !== undefined && spaceId !== null) {
+      const spaceDoc = await getDoc(doc(db, "parkingSpaces", spaceDocId));
+      if (!spaceDoc.exists()) {
+        return json(
+          {
+            success: false,
+            error: "Parking space not found",
+          },
+          { status: 404 }
+        );
+      }
+    }
+
+    // Validate shift type
+    const shiftValidation = await validateShift(
+      requestedShiftType,
+      startDate,
+      endDate
+    );
+    if (!shiftValidation.valid) {
+      return json(
+        {
+          success: false,
+          error: shiftValidation.error,
+        },
+        { status: 400 }
+      );
+    }
+
+    const shiftType = shiftValidation.shift.label;
+
+    // Promoted entries become reservations without a schedule document
+    const policyValidation = await evaluateBookingPolicy(authResult.user, {
+      startDate,
+      endDate,
+      shift: shiftValidation.shift,
+      hasDocument: false,
+      spaceId: spaceDocId,
+    });
+    if (!policyValidation.valid) {
+      return json(
+        {
+          success: false,
+          error: policyValidation.error,
+          rule: policyValidation.rule,
+        },
+        { status: 400 }
+      );
+    }
+
+    const entry = await joinWaitlist(userId, {
+      spaceId: spaceDocId,
+      startDate,
+      endDate,
+      shiftType,
+    });
+
+    return json(
+      {
+        success: true,
+        message: "Joined waitlist successfully",
+        entry,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Waitlist join error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to join waitlist",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const entries = await getUserWaitlistEntries(userId);
+
+    return json({
+      success: true,
+      entries,
+    });
+  } catch (error) {
+    console.error("Waitlist fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch waitlist entries",
+      },
+      { status: 500 }
+    );
+  }
+}
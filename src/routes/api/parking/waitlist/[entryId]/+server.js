@@ -0,0 +1,42 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { leaveWaitlist } from "$lib/waitlist.js";
+
+export async function DELETE({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { entryId } = params;
+
+    const result = await leaveWaitlist(userId, entryId);
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Left waitlist successfully",
+    });
+  } catch (error) {
+    console.error("Waitlist leave error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to leave waitlist",
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getUserNotifications } from "$lib/notifications.js";
+
+export async function GET({ request, url }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const unreadOnly = url.searchParams.get("unread") === "true";
+
+    const notifications = await getUserNotifications(userId, unreadOnly);
+
+    return json({
+      success: true,
+      notifications,
+    });
+  } catch (error) {
+    console.error("Notifications fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch notifications",
+      },
+      { status: 500 }
+    );
+  }
+}
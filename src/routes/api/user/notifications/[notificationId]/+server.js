@@ -0,0 +1,43 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { markNotificationRead } from "$lib/notifications.js";
+
+// Mark a notification as read
+export async function PUT({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { uid: userId } = authResult.user;
+    const { notificationId } = params;
+
+    const updated = await markNotificationRead(userId, notificationId);
+    if (!updated) {
+      return json(
+        { success: false, error: "Notification not found" },
+        { status: 404 }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Notification marked as read",
+    });
+  } catch (error) {
+    console.error("Notification update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update notification",
+      },
+      { status: 500 }
+    );
+  }
+}
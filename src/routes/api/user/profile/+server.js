@@ -1,6 +1,7 @@
 // src/routes/api/user/profile/+server.js - Updated version
 import { json } from "@sveltejs/kit";
 import { authenticateRequest } from "$lib/auth-middleware.js";
+import { auditUser } from "$lib/audit.js";
 import { db } from "$lib/firebase.js";
 import { doc, getDoc, updateDoc } from "firebase/firestore";
 
@@ -44,11 +45,13 @@ export async function PUT({ request }) {
       );
     }
 
-    const { uid: userId } = authResult.user;
+    const { uid: userId, ...before } = authResult.user;
     const updateData = await request.json();
 
-    // Define allowed fields for update
-    const allowedFields = ["firstName", "lastName", "department", "username"];
+    // Define allowed fields for update. The department decides who approves
+    // the user's reservations and which booking policy applies, so only
+    // admins can change it (see /api/admin/users).
+    const allowedFields = ["firstName", "lastName", "username", "homeSiteId"];
     const filteredData = {};
 
     // Only allow updating specific fields
@@ -69,11 +72,25 @@ export async function PUT({ request }) {
       );
     }
 
+    // The home site must be an existing site
+    if (filteredData.homeSiteId) {
+      const siteDoc = await getDoc(
+        doc(db, "locations", filteredData.homeSiteId)
+      );
+      if (!siteDoc.exists() || siteDoc.data().type !== "site") {
+        return json(
+          { success: false, error: "Home site not found" },
+          { status: 400 }
+        );
+      }
+    }
+
     // Add update timestamp
     filteredData.updatedAt = new Date().toISOString();
 
     // Update user document
     await updateDoc(doc(db, "users", userId), filteredData);
+    await auditUser({ actorId: userId, request }, "update", userId, before);
 
     // Get updated user data
     const userDoc = await getDoc(doc(db, "users", userId));
@@ -112,13 +129,14 @@ export async function DELETE({ request }) {
       );
     }
 
-    const { uid: userId } = authResult.user;
+    const { uid: userId, ...before } = authResult.user;
 
     // Soft delete by marking as inactive
     await updateDoc(doc(db, "users", userId), {
       isActive: false,
       deletedAt: new Date().toISOString(),
     });
+    await auditUser({ actorId: userId, request }, "deactivate", userId, before);
 
     return json({
       success: true,
@@ -0,0 +1,84 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import { getUserVehicles, addVehicle, validateVehicle } from "$lib/vehicles.js";
+
+export async function GET({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const vehicles = await getUserVehicles(authResult.user.uid);
+
+    return json({
+      success: true,
+      vehicles,
+    });
+  } catch (error) {
+    console.error("Vehicles fetch error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to fetch vehicles",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST({ request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { plate, make, colour, isElectric } = await request.json();
+
+    const validation = validateVehicle({ plate, make, colour, isElectric });
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const result = await addVehicle(
+      authResult.user.uid,
+      { plate, make, colour, isElectric },
+      { actorId: authResult.user.uid, request }
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json(
+      {
+        success: true,
+        message: "Vehicle registered successfully",
+        vehicle: result.vehicle,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Vehicle registration error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to register vehicle",
+      },
+      { status: 500 }
+    );
+  }
+}
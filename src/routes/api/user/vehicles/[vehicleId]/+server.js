@@ -0,0 +1,118 @@
+import { json } from "@sveltejs/kit";
+import { authenticateRequest } from "$lib/auth-middleware.js";
+import {
+  updateVehicle,
+  removeVehicle,
+  validateVehicle,
+} from "$lib/vehicles.js";
+
+export async function PUT({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { vehicleId } = params;
+    const updateData = await request.json();
+
+    // Define allowed fields for update
+    const allowedFields = ["plate", "make", "colour", "isElectric"];
+    const filteredData = {};
+
+    for (const field of allowedFields) {
+      if (updateData[field] !== undefined) {
+        filteredData[field] = updateData[field];
+      }
+    }
+
+    if (Object.keys(filteredData).length === 0) {
+      return json(
+        {
+          success: false,
+          error: "No valid fields provided for update",
+        },
+        { status: 400 }
+      );
+    }
+
+    const validation = validateVehicle(filteredData, true);
+    if (!validation.valid) {
+      return json({ success: false, error: validation.error }, { status: 400 });
+    }
+
+    const result = await updateVehicle(
+      authResult.user.uid,
+      vehicleId,
+      filteredData,
+      { actorId: authResult.user.uid, request }
+    );
+    if (!result.success) {
+      return json(
+        { success: false, error: result.error },
+        { status: result.status }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Vehicle updated successfully",
+      vehicle: result.vehicle,
+    });
+  } catch (error) {
+    console.error("Vehicle update error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to update vehicle",
+      },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE({ params, request }) {
+  try {
+    // Authenticate the request
+    const authResult = await authenticateRequest(request);
+
+    if (!authResult.success) {
+      return json(
+        { success: false, error: authResult.error },
+        { status: authResult.status }
+      );
+    }
+
+    const { vehicleId } = params;
+
+    const removed = await removeVehicle(authResult.user.uid, vehicleId, {
+      actorId: authResult.user.uid,
+      request,
+    });
+    if (!removed) {
+      return json(
+        { success: false, error: "Vehicle not found" },
+        { status: 404 }
+      );
+    }
+
+    return json({
+      success: true,
+      message: "Vehicle removed successfully",
+    });
+  } catch (error) {
+    console.error("Vehicle removal error:", error);
+    return json(
+      {
+        success: false,
+        error: "Failed to remove vehicle",
+      },
+      { status: 500 }
+    );
+  }
+}